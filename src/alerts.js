@@ -0,0 +1,119 @@
+// Alerts for users who aren't looking at the page when the warning shows: a
+// desktop notification, a flashing tab title and a favicon badge.
+
+// A red circle with an exclamation mark
+const BADGE_SVG =
+  '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 32 32">' +
+  '<circle cx="16" cy="16" r="16" fill="#d93025"/>' +
+  '<path d="M14 6h4v13h-4zM14 22h4v4h-4z" fill="#fff"/></svg>';
+
+export const BADGE_ICON = `data:image/svg+xml,${encodeURIComponent(BADGE_SVG)}`;
+
+export const canNotify = () =>
+  typeof Notification !== "undefined" &&
+  typeof Notification.requestPermission === "function";
+
+// Browsers only ask for permission in response to a user gesture, so ask on
+// the next click or key press. Returns a function that stops waiting.
+export const requestPermissionOnGesture = () => {
+  if (
+    !canNotify() ||
+    Notification.permission !== "default" ||
+    typeof document === "undefined"
+  ) {
+    return () => {};
+  }
+
+  const events = ["click", "keydown"];
+  const stop = () => {
+    events.forEach((type) =>
+      document.removeEventListener(type, request, { capture: true }),
+    );
+  };
+  const request = () => {
+    stop();
+    // Older browsers take a callback instead of returning a promise
+    Promise.resolve(Notification.requestPermission()).catch(() => {});
+  };
+  events.forEach((type) =>
+    document.addEventListener(type, request, { capture: true }),
+  );
+  return stop;
+};
+
+// Returns the notification, or null without permission
+export const showNotification = (title, body, tag, onClick) => {
+  if (!canNotify() || Notification.permission !== "granted") return null;
+  try {
+    // The tag replaces the notification from another tab or an earlier stage
+    // instead of stacking them
+    const notification = new Notification(title, {
+      body,
+      tag,
+      renotify: true,
+      requireInteraction: true,
+    });
+    notification.addEventListener("click", onClick);
+    return notification;
+  } catch {
+    // Some mobile browsers only allow notifications from service workers
+    return null;
+  }
+};
+
+// Alternates document.title between the page's title and the given text.
+// The page may change its title meanwhile, so that title is restored instead.
+export const createTitleFlasher = () => {
+  let pageTitle = null;
+  let shownTitle = null;
+  let flashed = false;
+
+  const flash = (text) => {
+    if (typeof document === "undefined") return;
+    if (pageTitle === null || document.title !== shownTitle) {
+      pageTitle = document.title;
+      flashed = false;
+    }
+    flashed = !flashed;
+    shownTitle = flashed ? text : pageTitle;
+    document.title = shownTitle;
+  };
+
+  const restore = () => {
+    if (pageTitle === null) return;
+    if (document.title === shownTitle) document.title = pageTitle;
+    pageTitle = null;
+    shownTitle = null;
+  };
+
+  return { flash, restore };
+};
+
+// Swaps the page's icons for the badge. Returns a function that puts them
+// back.
+export const showFaviconBadge = (href = BADGE_ICON) => {
+  if (typeof document === "undefined" || !document.head) return () => {};
+
+  const links = [...document.head.querySelectorAll('link[rel~="icon"]')];
+  const originals = links.map((link) => link.getAttribute("href"));
+  let added = null;
+  if (links.length > 0) {
+    links.forEach((link) => link.setAttribute("href", href));
+  } else {
+    added = document.createElement("link");
+    added.rel = "icon";
+    added.href = href;
+    document.head.appendChild(added);
+  }
+
+  return () => {
+    links.forEach((link, i) => {
+      if (originals[i] === null) {
+        link.removeAttribute("href");
+      } else {
+        link.setAttribute("href", originals[i]);
+      }
+    });
+    added?.remove();
+  };
+};
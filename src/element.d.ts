@@ -0,0 +1,23 @@
+import type {
+  SessionTimeoutController,
+  SessionTimeoutOptions,
+} from "./index.js";
+
+/**
+ * `<session-timeout>`: runs a session while the element is in the document.
+ * Options are set with kebab-case attributes, like `warn-at`, and session
+ * events are dispatched on the element as `CustomEvent`s with the
+ * `SessionEvent` as their `detail`.
+ */
+export class SessionTimeoutElement extends HTMLElement {
+  /** `null` while the element is disconnected. */
+  readonly session: SessionTimeoutController | null;
+  /** Options that can't be written as attributes. Attributes take precedence. */
+  options: SessionTimeoutOptions;
+}
+
+declare global {
+  interface HTMLElementTagNameMap {
+    "session-timeout": SessionTimeoutElement;
+  }
+}
@@ -0,0 +1,186 @@
+import sessionTimeout from "./index.js";
+import { diffOptions } from "./options.js";
+
+// Options that can be set with attributes, by how their values are read.
+// Callbacks and objects like `messages` are set with the `options` property.
+const NUMBER_OPTIONS = [
+  "activityThrottle",
+  "announceInterval",
+  "checkInterval",
+  "keepAliveInterval",
+  "keepAliveRetries",
+  "keepAliveRetryDelay",
+  "maxExtensions",
+  "timeoutAt",
+  "warnAt",
+];
+const BOOLEAN_OPTIONS = [
+  "flashTitle",
+  "headless",
+  "notification",
+  "trackActivity",
+];
+// On when bare, otherwise a string like a path prefix or a URL
+const FLAG_OR_STRING_OPTIONS = [
+  "faviconBadge",
+  "interceptRequests",
+  "saveForms",
+];
+const STRING_OPTIONS = [
+  "continueText",
+  "escapeAction",
+  "expiryHeader",
+  "expiryMeta",
+  "initialFocus",
+  "keepAliveErrorText",
+  "keepAliveMethod",
+  "keepAliveUrl",
+  "locale",
+  "logoutText",
+  "message",
+  "namespace",
+  "storageKey",
+  "template",
+  "title",
+  "transport",
+];
+
+// Every session event is re-dispatched on the element under the same name
+const EVENT_TYPES = [
+  "continue",
+  "destroy",
+  "logout",
+  "pause",
+  "reset",
+  "resume",
+  "stage",
+  "sync",
+  "tick",
+  "timeout",
+  "update",
+  "warn",
+];
+
+const toAttributeName = (name) =>
+  name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+
+const ATTRIBUTE_OPTIONS = new Map(
+  [
+    ...NUMBER_OPTIONS,
+    ...BOOLEAN_OPTIONS,
+    ...STRING_OPTIONS,
+    ...FLAG_OR_STRING_OPTIONS,
+    "activityEvents",
+  ].map((name) => [toAttributeName(name), name]),
+);
+
+const parseAttribute = (name, value) => {
+  if (NUMBER_OPTIONS.includes(name)) return Number(value);
+  if (BOOLEAN_OPTIONS.includes(name)) return value !== "false";
+  if (FLAG_OR_STRING_OPTIONS.includes(name)) {
+    if (value === "" || value === "true") return true;
+    return value === "false" ? false : value;
+  }
+  if (name === "activityEvents") return value.split(/\s+/).filter(Boolean);
+  return value;
+};
+
+// Lets the module be imported where custom elements aren't available, like
+// during server-side rendering
+const BaseElement = typeof HTMLElement !== "undefined" ? HTMLElement : class {};
+
+// <session-timeout warn-at="900000" keep-alive-url="/api/ping">
+//
+// Runs a session while the element is in the document. Attributes are the
+// kebab-case names of the options and are applied with update() when they
+// change, or recreate the session for fixed options like namespace.
+export class SessionTimeoutElement extends BaseElement {
+  static get observedAttributes() {
+    return [...ATTRIBUTE_OPTIONS.keys()];
+  }
+
+  #options = {};
+  #applied = null;
+  #session = null;
+  #unsubscribes = [];
+
+  // The session controller, or null while the element is disconnected
+  get session() {
+    return this.#session;
+  }
+
+  // Options that can't be written as attributes, like callbacks. Attributes
+  // take precedence.
+  get options() {
+    return this.#options;
+  }
+
+  set options(value) {
+    this.#options = { ...value };
+    this.#sync();
+  }
+
+  connectedCallback() {
+    this.#create();
+  }
+
+  disconnectedCallback() {
+    this.#destroy();
+  }
+
+  attributeChangedCallback() {
+    this.#sync();
+  }
+
+  #readOptions() {
+    const options = { ...this.#options };
+    ATTRIBUTE_OPTIONS.forEach((name, attribute) => {
+      if (this.hasAttribute(attribute)) {
+        options[name] = parseAttribute(name, this.getAttribute(attribute));
+      }
+    });
+    return options;
+  }
+
+  #create() {
+    if (this.#session) return;
+    this.#applied = this.#readOptions();
+    const session = sessionTimeout(this.#applied);
+    // Other callers may keep a shared session running after this element is
+    // gone, so stop forwarding its events then
+    this.#unsubscribes = EVENT_TYPES.map((type) =>
+      session.on(type, (event) => {
+        this.dispatchEvent(new CustomEvent(type, { detail: event }));
+      }),
+    );
+    this.#session = session;
+  }
+
+  #destroy() {
+    if (!this.#session) return;
+    this.#unsubscribes.forEach((unsubscribe) => unsubscribe());
+    this.#unsubscribes = [];
+    this.#session.destroy();
+    this.#session = null;
+  }
+
+  #sync() {
+    if (!this.#session) return;
+    const next = this.#readOptions();
+    const { changed, recreate } = diffOptions(this.#applied, next);
+    if (recreate) {
+      this.#destroy();
+      this.#create();
+      return;
+    }
+    this.#applied = next;
+    if (Object.keys(changed).length > 0) this.#session.update(changed);
+  }
+}
+
+if (
+  typeof customElements !== "undefined" &&
+  !customElements.get("session-timeout")
+) {
+  customElements.define("session-timeout", SessionTimeoutElement);
+}
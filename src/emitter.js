@@ -0,0 +1,39 @@
+// Minimal event emitter used by the controller. A handler that throws is
+// reported without stopping other handlers or the session logic that emitted
+// the event.
+export const createEmitter = () => {
+  const handlers = new Map();
+
+  const off = (type, handler) => {
+    if (!handler) {
+      handlers.delete(type);
+      return;
+    }
+    handlers.get(type)?.delete(handler);
+  };
+
+  const on = (type, handler) => {
+    if (!handlers.has(type)) handlers.set(type, new Set());
+    handlers.get(type).add(handler);
+    return () => off(type, handler);
+  };
+
+  const emit = (type, event) => {
+    // Copy so handlers can unsubscribe while the event is being emitted
+    [...(handlers.get(type) ?? [])].forEach((handler) => {
+      try {
+        handler(event);
+      } catch (error) {
+        if (typeof reportError === "function") {
+          reportError(error);
+        } else {
+          console.error(error);
+        }
+      }
+    });
+  };
+
+  const clear = () => handlers.clear();
+
+  return { on, off, emit, clear };
+};
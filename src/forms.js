@@ -0,0 +1,179 @@
+import { DEFAULT_NAMESPACE } from "./options.js";
+
+// Saves what the user typed into forms when the session times out, and puts it
+// back once they've logged in again. Saved forms are keyed by the page's URL,
+// so they're only restored on the page they came from.
+
+// Never saved: secrets, files, values the server set (like CSRF tokens) and
+// buttons
+const SKIPPED_TYPES = [
+  "password",
+  "file",
+  "hidden",
+  "submit",
+  "reset",
+  "button",
+  "image",
+];
+
+// Saved forms older than this aren't restored, so a login days later doesn't
+// bring back a draft the user has long moved on from
+const DEFAULT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+const getStorage = (storage) => {
+  if (storage) return storage;
+  try {
+    return typeof sessionStorage !== "undefined" ? sessionStorage : null;
+  } catch {
+    // Access throws when storage is disabled
+    return null;
+  }
+};
+
+const getPageKey = (namespace, url = location.href) => {
+  const { pathname, search } = new URL(url, location.href);
+  return `${namespace}-forms:${pathname}${search}`;
+};
+
+// Forms are matched by id or name, or else by their position on the page
+const getFormKey = (form) =>
+  form.id ||
+  form.getAttribute("name") ||
+  `#${[...document.forms].indexOf(form)}`;
+
+const findForm = (formKey) =>
+  (formKey.startsWith("#")
+    ? document.forms[Number(formKey.slice(1))]
+    : document.forms.namedItem(formKey)) ?? null;
+
+const getFields = (form) =>
+  [...form.elements].filter(
+    (field) => field.name && !SKIPPED_TYPES.includes(field.type),
+  );
+
+const readForm = (form) => {
+  const values = {};
+  getFields(form).forEach((field) => {
+    if (field.type === "checkbox") {
+      values[field.name] ??= [];
+      if (field.checked) values[field.name].push(field.value);
+    } else if (field.type === "radio") {
+      if (field.checked) values[field.name] = field.value;
+    } else if (field.type === "select-multiple") {
+      values[field.name] = [...field.selectedOptions].map(
+        (option) => option.value,
+      );
+    } else {
+      values[field.name] = field.value;
+    }
+  });
+  return values;
+};
+
+const writeForm = (form, values) => {
+  getFields(form).forEach((field) => {
+    if (!(field.name in values)) return;
+    const value = values[field.name];
+    if (field.type === "checkbox") {
+      field.checked = [].concat(value).includes(field.value);
+    } else if (field.type === "radio") {
+      field.checked = field.value === value;
+    } else if (field.type === "select-multiple") {
+      [...field.options].forEach((option) => {
+        option.selected = [].concat(value).includes(option.value);
+      });
+    } else {
+      field.value = value;
+    }
+    // Let scripts that listen to the fields know about the new values
+    field.dispatchEvent(new Event("input", { bubbles: true }));
+    field.dispatchEvent(new Event("change", { bubbles: true }));
+  });
+};
+
+const resolveForms = (forms, namespace) => {
+  if (forms === undefined || forms === true) {
+    forms = `form[data-${namespace}-save]`;
+  }
+  if (typeof forms === "string") return [...document.querySelectorAll(forms)];
+  if (
+    typeof HTMLFormElement !== "undefined" &&
+    forms instanceof HTMLFormElement
+  ) {
+    return [forms];
+  }
+  return [...forms];
+};
+
+// Saves the forms: a selector, a form or a list of forms. Defaults to forms
+// with a `data-<namespace>-save` attribute. Returns how many were saved.
+export const saveForms = (
+  forms,
+  { namespace = DEFAULT_NAMESPACE, storage } = {},
+) => {
+  const target = getStorage(storage);
+  if (!target || typeof document === "undefined") return 0;
+
+  const saved = {};
+  resolveForms(forms, namespace).forEach((form) => {
+    saved[getFormKey(form)] = readForm(form);
+  });
+  const count = Object.keys(saved).length;
+  if (count === 0) return 0;
+
+  try {
+    target.setItem(
+      getPageKey(namespace),
+      JSON.stringify({ savedAt: Date.now(), forms: saved }),
+    );
+  } catch {
+    // Storage is full or disabled, so there's nothing to restore later
+    return 0;
+  }
+  return count;
+};
+
+// Discards what was saved on a page, the current one by default. Call it once
+// the server has accepted the restored form, e.g. on the page it redirects to
+// with the form page's URL. A submit that fails keeps the saved values.
+export const clearSavedForms = ({
+  namespace = DEFAULT_NAMESPACE,
+  storage,
+  url,
+} = {}) => {
+  getStorage(storage)?.removeItem(getPageKey(namespace, url));
+};
+
+// Fills this page's forms with what was saved on it. The saved values are
+// kept until clearSavedForms() is called, so reloading the page or a failed
+// submit restores them again. Values saved more than `maxAge` ago are
+// discarded instead. Returns how many forms were restored.
+export const restoreForms = ({
+  namespace = DEFAULT_NAMESPACE,
+  storage,
+  maxAge = DEFAULT_MAX_AGE,
+} = {}) => {
+  const target = getStorage(storage);
+  if (!target || typeof document === "undefined") return 0;
+
+  let saved;
+  try {
+    saved = JSON.parse(target.getItem(getPageKey(namespace)));
+  } catch {
+    saved = null;
+  }
+  if (!saved?.forms) return 0;
+  if (maxAge !== null && !(Date.now() - saved.savedAt <= maxAge)) {
+    target.removeItem(getPageKey(namespace));
+    return 0;
+  }
+
+  let count = 0;
+  Object.entries(saved.forms).forEach(([formKey, values]) => {
+    const form = findForm(formKey);
+    if (!form) return;
+    writeForm(form, values);
+    count += 1;
+  });
+  return count;
+};
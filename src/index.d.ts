@@ -0,0 +1,343 @@
+// Type declarations for @travishorn/session-timeout. Keep in sync with the
+// options in index.js and OPTION_NAMES in options.js.
+
+/** Text shown in the dialog. Strings are always rendered as plain text. */
+export type RichContent =
+  | string
+  | Node
+  | HTMLTemplateElement
+  | (() => string | Node | HTMLTemplateElement);
+
+/** An absolute expiry: a Date, a timestamp in milliseconds or a date string. */
+export type ExpiryValue = Date | number | string;
+
+/** How a warning stage is shown. `"none"` only emits events. */
+export type StageDisplay = "modal" | "banner" | "toast" | "none";
+
+export interface WarningStage {
+  /** Milliseconds after the last reset. */
+  at: number;
+  /** Defaults to `"modal"`. */
+  display?: StageDisplay;
+  /** Set as `data-stage` and passed to `stage` events. Defaults to `stage-<n>`. */
+  name?: string;
+  title?: string;
+  message?: string;
+  continueText?: string;
+  logoutText?: string;
+}
+
+export type SessionStatus = "idle" | "warning" | "paused" | "expired";
+
+export interface SessionState {
+  status: SessionStatus;
+  /** Milliseconds until the session times out. */
+  remaining: number;
+}
+
+/** A message sent between tabs. */
+export interface SessionMessage {
+  type:
+    | "reset"
+    | "continue"
+    | "warn"
+    | "logout"
+    | "timeout"
+    | "update"
+    | "leader"
+    | "pause"
+    | "resume"
+    | (string & {});
+  id: string;
+  /** The tab that sent the message. */
+  tab: string;
+  time: number;
+  resetAt?: number;
+  extensions?: number;
+  until?: number;
+  pingedAt?: number | null;
+  options?: Pick<SessionTimeoutOptions, "warnAt" | "timeoutAt" | "stages">;
+  [key: string]: unknown;
+}
+
+/** Carries messages between tabs. */
+export interface Transport {
+  post(message: SessionMessage): void;
+  /** Returns a function that unsubscribes. */
+  subscribe(listener: (message: SessionMessage) => void): () => void;
+  /**
+   * Returns the last reset, continue, resume, logout or timeout message
+   * posted by any tab.
+   */
+  read?(): SessionMessage | null;
+  close(): void;
+}
+
+export type TransportOption =
+  | "auto"
+  | "local-storage"
+  | "broadcast-channel"
+  | "none"
+  | Transport;
+
+export type SessionEventType =
+  | "continue"
+  | "destroy"
+  | "logout"
+  | "pause"
+  | "reset"
+  | "resume"
+  | "stage"
+  | "sync"
+  | "tick"
+  | "timeout"
+  | "update"
+  | "warn";
+
+export interface SessionEvent {
+  type: SessionEventType;
+  remaining: number;
+  /** The tab the event happened in. */
+  tab: string;
+  /** Whether the event was caused by another tab. */
+  remote: boolean;
+  /** The message from another tab, for `sync` events. */
+  message?: SessionMessage;
+  /** The stage's name, for `stage` events. */
+  stage?: string;
+  display?: StageDisplay;
+}
+
+export interface RemoteDetails {
+  /** Whether another tab logged out or timed out. */
+  remote?: boolean;
+}
+
+/** Strings used in the dialog. `{time}` is replaced with the remaining time. */
+export interface LocaleMessages {
+  title?: string;
+  message?: string;
+  continueText?: string;
+  logoutText?: string;
+  keepAliveErrorText?: string;
+  remaining?: string;
+  announcement?: string;
+}
+
+export interface RenderContext {
+  remaining: number;
+  formatCountdown: (ms: number) => string;
+  /** `false` once `maxExtensions` is reached. */
+  canExtend: boolean;
+  /** The current stage's name, or `null` when shown with `show()`. */
+  stage: string | null;
+  locale: string;
+  title: RichContent;
+  message: RichContent;
+  continueText: RichContent;
+  logoutText: RichContent;
+  continue: () => void;
+  logout: () => void;
+  close: () => void;
+  on: SessionTimeoutController["on"];
+}
+
+export interface SessionTimeoutOptions {
+  /** Events that count as user activity when `trackActivity` is enabled. */
+  activityEvents?: string[];
+  /** Minimum milliseconds between activity-triggered resets. */
+  activityThrottle?: number;
+  /** How often, in milliseconds, the countdown is announced to screen readers. */
+  announceInterval?: number;
+  /** How often, in milliseconds, the deadlines are re-checked. */
+  checkInterval?: number;
+  continueText?: RichContent;
+  /** What pressing Escape does. */
+  escapeAction?: "continue" | "logout" | "close" | "none";
+  /** Response header holding the session's absolute expiry time. */
+  expiryHeader?: string | null;
+  /** Name of a `<meta>` tag holding the session's absolute expiry time. */
+  expiryMeta?: string | null;
+  /** Swaps the favicon for a badge while warning. A string is the badge's URL. */
+  faviconBadge?: boolean | string;
+  /** Alternates the tab title with the countdown while warning. */
+  flashTitle?: boolean;
+  formatAnnouncement?: ((ms: number) => string) | null;
+  formatCountdown?: ((ms: number) => string) | null;
+  /** Returns, or resolves to, the session's absolute expiry time. */
+  getExpiry?:
+    | (() =>
+        | ExpiryValue
+        | null
+        | undefined
+        | PromiseLike<ExpiryValue | null | undefined>)
+    | null;
+  /** Never render a dialog. */
+  headless?: boolean;
+  /**
+   * Resets the session on successful same-origin fetch and XMLHttpRequest
+   * responses, and times out on 401/419. `true` matches every request, a
+   * string matches a path prefix, a RegExp is tested against the path and
+   * query, and a function receives the resolved URL.
+   */
+  interceptRequests?: boolean | string | RegExp | ((url: URL) => boolean);
+  /** `"continue"`, `"logout"` or a CSS selector. `null` keeps the browser default. */
+  initialFocus?: "continue" | "logout" | (string & {}) | null;
+  keepAliveErrorText?: string;
+  keepAliveHeaders?: HeadersInit | (() => HeadersInit) | null;
+  /** Sends the keep-alive request this often, in milliseconds, after activity. */
+  keepAliveInterval?: number | null;
+  keepAliveMethod?: string;
+  keepAliveRetries?: number;
+  keepAliveRetryDelay?: number;
+  keepAliveUrl?: string;
+  locale?: string | null;
+  logoutText?: RichContent;
+  /** How many times the session can be continued. Never less than 10. */
+  maxExtensions?: number;
+  message?: RichContent;
+  /** Custom or replacement strings, keyed by locale. */
+  messages?: Record<string, LocaleMessages>;
+  namespace?: string;
+  /** Shows a desktop notification when warning while the page is hidden. */
+  notification?: boolean;
+  /** Called when the session times out, just before `onTimeout`. */
+  onBeforeTimeout?: ((details: RemoteDetails) => void) | null;
+  /** Extends the session. May return a Response or a promise of one. */
+  onContinue?: (() => unknown) | null;
+  onLogout?: ((details: RemoteDetails) => void) | null;
+  onTimeout?: ((details: RemoteDetails) => void) | null;
+  render?:
+    | ((context: RenderContext) => string | Node | HTMLTemplateElement)
+    | null;
+  /**
+   * Saves forms to sessionStorage when the session times out, so
+   * `restoreForms()` can fill them in again. `true` saves forms with a
+   * `data-<namespace>-save` attribute, a string is a selector.
+   */
+  saveForms?: boolean | string;
+  /** Warnings shown before the timeout. Replaces `warnAt`. */
+  stages?: WarningStage[] | null;
+  storageKey?: string;
+  /** A `<template>` element, or a selector for one. */
+  template?: string | HTMLTemplateElement | null;
+  timeoutAt?: number;
+  title?: RichContent;
+  trackActivity?: boolean;
+  transport?: TransportOption;
+  warnAt?: number;
+}
+
+export interface SessionTimeoutController {
+  /**
+   * Clears all timers and removes the dialog. On a handle returned by
+   * sessionTimeout(), releases that caller's hold once; the session keeps
+   * running until every handle is destroyed.
+   */
+  destroy(): void;
+  show(): void;
+  close(): void;
+  /** Closes the dialog and restarts the timers. */
+  reset(): void;
+  /** Sets the absolute time the session expires. Throws on an invalid date. */
+  setExpiresAt(date: ExpiryValue): void;
+  /** Switches the language of the dialog. */
+  setLocale(locale: string): void;
+  /**
+   * Changes options without recreating the session. `headless`, `namespace`,
+   * `storageKey` and `transport` can't be changed. Throws on invalid options.
+   */
+  update(options: SessionTimeoutOptions): void;
+  /** Stops the session clock until resume() is called. */
+  pause(): void;
+  /** Starts the session clock again, from the beginning. */
+  resume(): void;
+  /** Returns a function that unsubscribes. */
+  on(
+    event: SessionEventType,
+    handler: (event: SessionEvent) => void,
+  ): () => void;
+  off(event: SessionEventType, handler?: (event: SessionEvent) => void): void;
+  getState(): SessionState;
+  /** Calls `listener` whenever the state changes. Returns a function that unsubscribes. */
+  subscribe(listener: (state: SessionState) => void): () => void;
+  continue(): void;
+  logout(): void;
+}
+
+/**
+ * Returns the session running in the namespace, or `null`. Destroying it ends
+ * the session for every caller.
+ */
+export function getInstance(
+  namespace?: string,
+): SessionTimeoutController | null;
+
+/** Destroys every session on the page, however many callers hold it. */
+export function destroyAll(): void;
+
+/**
+ * Starts a session. Only one session runs per namespace: calling this again
+ * for a running namespace updates that session and returns a new handle on
+ * it. Each caller destroys its handle when it's done with the session.
+ */
+declare const sessionTimeout: {
+  (options?: SessionTimeoutOptions): SessionTimeoutController;
+  getInstance: typeof getInstance;
+  destroyAll: typeof destroyAll;
+};
+
+export default sessionTimeout;
+
+export function createAutoTransport(options?: {
+  key?: string;
+  name?: string;
+}): Transport;
+
+export function createBroadcastChannelTransport(options?: {
+  name?: string;
+}): Transport;
+
+export function createLocalStorageTransport(options?: {
+  key?: string;
+}): Transport;
+
+export function createNoopTransport(): Transport;
+
+export const locales: Record<string, Required<LocaleMessages>>;
+
+export interface SavedFormsOptions {
+  namespace?: string;
+  /** Defaults to sessionStorage. Must be synchronous to finish before a redirect. */
+  storage?: Pick<Storage, "getItem" | "setItem" | "removeItem">;
+}
+
+/**
+ * Saves forms for the current URL: a selector, a form or a list of forms.
+ * Defaults to forms with a `data-<namespace>-save` attribute. Returns how many
+ * were saved.
+ */
+export function saveForms(
+  forms?: string | HTMLFormElement | Iterable<HTMLFormElement> | true,
+  options?: SavedFormsOptions,
+): number;
+
+/**
+ * Fills the page's forms with what was saved for the current URL. The saved
+ * values are kept until clearSavedForms() is called, or until they're older
+ * than `maxAge`. Returns how many forms were restored.
+ */
+export function restoreForms(
+  options?: SavedFormsOptions & {
+    /** Milliseconds. Defaults to 24 hours. `null` never discards. */
+    maxAge?: number | null;
+  },
+): number;
+
+/**
+ * Discards what was saved for a URL, the current one by default. Call it once
+ * the server has accepted the restored form.
+ */
+export function clearSavedForms(
+  options?: SavedFormsOptions & { url?: string | URL },
+): void;
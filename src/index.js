@@ -1,78 +1,771 @@
-export default function sessionTimeout(options = {}) {
-  const {
-    warnAt = 15 * 60 * 1000, // 15 minutes default
-    timeoutAt = 20 * 60 * 1000, // 20 minutes default
-    onTimeout = () => {
+import {
+  createTitleFlasher,
+  requestPermissionOnGesture,
+  showFaviconBadge,
+  showNotification,
+} from "./alerts.js";
+import { createEmitter } from "./emitter.js";
+import { saveForms } from "./forms.js";
+import { createTransport } from "./transports.js";
+import { getNativeFetch, interceptRequests } from "./interceptor.js";
+import { getRegistry } from "./registry.js";
+import {
+  formatRelative,
+  formatRemaining,
+  isRtl,
+  normalizeLocale,
+  resolveMessages,
+} from "./locales.js";
+import {
+  DEFAULT_NAMESPACE,
+  DEFAULT_TIMEOUT_AT,
+  DEFAULT_WARN_AT,
+  FIXED_OPTIONS,
+  MAX_TIMEOUT_DELAY,
+  SHARED_OPTIONS,
+  validateOptions,
+  warnUnknownOptions,
+} from "./options.js";
+
+export {
+  createAutoTransport,
+  createBroadcastChannelTransport,
+  createLocalStorageTransport,
+  createNoopTransport,
+} from "./transports.js";
+export { clearSavedForms, restoreForms, saveForms } from "./forms.js";
+export { locales } from "./locales.js";
+
+// The page's language, then the browser's
+const getDefaultLocale = () =>
+  (typeof document !== "undefined" && document.documentElement?.lang) ||
+  (typeof navigator !== "undefined" && navigator.language) ||
+  "en";
+
+// Identifies this page in cross-tab messages. Shared by every instance on the
+// page, since tabs only need to ignore messages they sent themselves
+const tabId = Math.random().toString(36).slice(2);
+let messageCount = 0;
+
+// The parts of a warning stage that are shared with other tabs
+const STAGE_TIMING_FIELDS = ["name", "at", "display"];
+
+// How many message ids to remember when ignoring duplicate deliveries
+const SEEN_MESSAGE_LIMIT = 50;
+
+// Keep-alive responses meaning the server session is already gone
+const SESSION_GONE_STATUSES = [401, 419];
+
+// How long a pause from another tab holds the session unless it's renewed.
+// Long enough to outlast the once-a-minute timers of throttled background tabs
+const PAUSE_LEASE = 2 * 60 * 1000;
+
+// WCAG 2.2.1 (Timing Adjustable) requires allowing at least ten extensions
+const MIN_EXTENSIONS = 10;
+
+// Hides an element visually while keeping it available to screen readers
+const VISUALLY_HIDDEN_STYLE =
+  "position: absolute; width: 1px; height: 1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;";
+
+// Turns dialog content into a node. Strings are always rendered as text. Rich
+// content can be passed as a DOM node, a <template> element, or a function
+// returning either.
+const toContent = (value) => {
+  if (typeof value === "function") return toContent(value());
+  if (
+    typeof HTMLTemplateElement !== "undefined" &&
+    value instanceof HTMLTemplateElement
+  ) {
+    return value.content.cloneNode(true);
+  }
+  if (typeof Node !== "undefined" && value instanceof Node) return value;
+  return document.createTextNode(value ?? "");
+};
+
+// Accepts a Date, a timestamp in milliseconds or a date string and returns a
+// timestamp in milliseconds, or null when the value isn't a valid date
+const parseExpiry = (value) => {
+  let timestamp = NaN;
+  if (value instanceof Date) {
+    timestamp = value.getTime();
+  } else if (typeof value === "number") {
+    timestamp = value;
+  } else if (typeof value === "string" && value.trim() !== "") {
+    const numeric = Number(value);
+    timestamp = Number.isFinite(numeric) ? numeric : Date.parse(value);
+  }
+  return Number.isFinite(timestamp) ? timestamp : null;
+};
+
+const createSession = (options) => {
+  warnUnknownOptions(options);
+  validateOptions(options);
+
+  const defaults = {
+    timeoutAt: DEFAULT_TIMEOUT_AT,
+    onTimeout: () => {
       // Default timeout handler - redirect to /timed-out
       if (typeof window !== "undefined" && window.location) {
         window.location.href = "/timed-out";
       }
     },
-    onContinue = () => {
+    keepAliveUrl: "/keep-alive",
+    keepAliveMethod: "GET",
+    keepAliveHeaders: null,
+    keepAliveRetries: 2,
+    keepAliveRetryDelay: 1000, // 1 second default, doubled on each retry
+    keepAliveInterval: null, // No background heartbeat by default
+    interceptRequests: false,
+    onContinue: () => {
       // Default continue handler - make keep-alive request
       if (typeof fetch !== "undefined") {
+        const { keepAliveUrl, keepAliveMethod, keepAliveHeaders } = config;
         const timestamp = Math.floor(Date.now() / 1000);
-        fetch(`/keep-alive?time=${timestamp}`, { method: "GET" });
+        const separator = keepAliveUrl.includes("?") ? "&" : "?";
+        const init = { method: keepAliveMethod };
+        // Headers may be a function so tokens like CSRF are read fresh
+        const headers =
+          typeof keepAliveHeaders === "function"
+            ? keepAliveHeaders()
+            : keepAliveHeaders;
+        if (headers) init.headers = headers;
+        // The unpatched fetch, so interceptRequests doesn't see our own request
+        const request = getNativeFetch();
+        return request(`${keepAliveUrl}${separator}time=${timestamp}`, init);
       }
     },
-    message = "Your session is about to expire.",
-    continueText = "Continue Session",
-    logoutText = "Log Out",
-    onLogout = () => {
-      // Default logout handler - redirect to /logout
+    // title, message, continueText, logoutText and keepAliveErrorText have no
+    // defaults here since they fall back to the locale's strings
+    locale: null,
+    messages: {},
+    onLogout: ({ remote } = {}) => {
+      // Default logout handler - redirect to /logout, or reload when another
+      // tab already logged out so the logout request is only made once
       if (typeof window !== "undefined" && window.location) {
-        window.location.href = "/logout";
+        if (!remote) {
+          window.location.href = "/logout";
+        } else if (typeof window.location.reload === "function") {
+          window.location.reload();
+        }
       }
     },
-  } = options;
+    trackActivity: false,
+    activityEvents: [
+      "mousedown",
+      "mousemove",
+      "keydown",
+      "scroll",
+      "touchstart",
+    ],
+    activityThrottle: 10 * 1000, // 10 seconds default
+    formatCountdown: null,
+    formatAnnouncement: null,
+    announceInterval: 60 * 1000, // 1 minute default
+    checkInterval: 15 * 1000, // 15 seconds default
+    getExpiry: null,
+    expiryHeader: null,
+    expiryMeta: null,
+    transport: "auto",
+    namespace: DEFAULT_NAMESPACE,
+    render: null,
+    template: null,
+    headless: false,
+    initialFocus: "continue",
+    escapeAction: "continue",
+    maxExtensions: Infinity,
+    stages: null,
+    // Alerts for when the page is in the background, all opt-in
+    notification: false,
+    flashTitle: false,
+    faviconBadge: false,
+    // Unsaved work is thrown away by default
+    saveForms: false,
+    onBeforeTimeout: null,
+  };
+
+  // Fills in defaults for missing (or undefined) options
+  const resolveOptions = (opts) => {
+    const resolved = { ...defaults };
+    Object.entries(opts).forEach(([name, value]) => {
+      if (value !== undefined) resolved[name] = value;
+    });
+    // Never warn after the timeout, even with a short timeoutAt
+    resolved.warnAt ??= Math.min(DEFAULT_WARN_AT, resolved.timeoutAt);
+    resolved.storageKey ??= `${resolved.namespace}-last-reset`;
+    return resolved;
+  };
+
+  // The options as passed in, and with defaults applied. Both change when
+  // update() is called.
+  let currentOptions = { ...options };
+  let config = resolveOptions(currentOptions);
+
+  // The warning stages in order. Without the stages option, there's a single
+  // modal warning at warnAt.
+  const resolveStages = () =>
+    (config.stages ?? [{ name: "warning", at: config.warnAt }])
+      .map((stage, index) => ({
+        name: `stage-${index + 1}`,
+        display: "modal",
+        ...stage,
+      }))
+      .sort((a, b) => a.at - b.at);
 
-  let warnTimeoutId = null;
-  let redirectTimeoutId = null;
+  let stages = resolveStages();
+
+  let deadlineTimeoutId = null;
+  let heartbeatIntervalId = null;
+  // Index of the last warning stage reached, or -1 before the first
+  let stageIndex = -1;
+  // Set once the session times out or is logged out, until it's reset
+  let ended = false;
+  let wakeListener = null;
   let dialog = null;
-  let storageKey = "session-timeout-last-reset";
-  let storageEventListener = null;
+  let notice = null;
+  let transport = null;
+  let unsubscribeTransport = null;
+  let seenMessageIds = new Set();
+  let resetSentAt = null;
+  let activityListener = null;
+  let lastResetAt = null;
+  let countdownIntervalId = null;
+  let lastAnnouncement = null;
+  let destroyed = false;
+  let keepAlivePending = false;
+  let retryTimeoutId = null;
+  let previousFocus = null;
+  let extensions = 0;
+  let pausedByApi = false;
+  let pausedByElement = false;
+  // Leases of the other tabs holding the session, by tab id
+  const pausedTabs = new Map();
+  let keepAliveObserver = null;
+  let pageHideListener = null;
+  let keepAliveIntervalId = null;
+  let lastPingAt = null;
+  let leader = null;
+  let unsubscribeRequests = null;
+  let alerting = false;
+  let notification = null;
+  let restoreFavicon = null;
+  let alertVisibilityListener = null;
+  let stopPermissionRequest = null;
+  const titleFlasher = createTitleFlasher();
+  let locale = normalizeLocale(config.locale ?? getDefaultLocale());
+  let strings = resolveMessages(locale, config.messages);
+  const emitter = createEmitter();
+  const stateEmitter = createEmitter();
+  let state = { status: "idle", remaining: Math.max(0, config.timeoutAt) };
+
+  const getStage = () => stages[stageIndex] ?? null;
+
+  // The last stage whose time has come, by index
+  const getReachedStage = (elapsed) =>
+    stages.filter((stage) => elapsed >= Math.max(0, stage.at)).length - 1;
+
+  // The current stage's text overrides the text options, which override the
+  // locale's strings
+  const getText = (key) => getStage()?.[key] ?? config[key] ?? strings[key];
+
+  const formatCountdown = (ms) =>
+    config.formatCountdown
+      ? config.formatCountdown(ms)
+      : formatRemaining(ms, locale, strings.remaining);
+
+  const formatAnnouncement = (ms) =>
+    config.formatAnnouncement
+      ? config.formatAnnouncement(ms)
+      : formatRelative(ms, locale, strings.announcement);
+
+  const createElement = (tagName, attributes = {}, ...children) => {
+    const element = document.createElement(tagName);
+    Object.entries(attributes).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    children.forEach((child) => element.appendChild(toContent(child)));
+    return element;
+  };
+
+  const createDefaultContent = () => {
+    const error = createElement("p", { class: "error", role: "alert" });
+    error.hidden = true;
+
+    const continueBtn = createElement(
+      "button",
+      { "data-action": "continue" },
+      getText("continueText"),
+    );
+    // Once the extension limit is reached, logging out is the only choice
+    continueBtn.hidden = !canExtend();
+
+    const content = document.createDocumentFragment();
+    content.append(
+      createElement(
+        "h2",
+        { id: `${config.namespace}-title` },
+        getText("title"),
+      ),
+      createElement(
+        "p",
+        { id: `${config.namespace}-message` },
+        getText("message"),
+      ),
+      createElement("p", { class: "countdown", "aria-hidden": "true" }),
+      createElement("p", {
+        class: "countdown-announcement",
+        "aria-live": "polite",
+        style: VISUALLY_HIDDEN_STYLE,
+      }),
+      error,
+      createElement(
+        "div",
+        { class: "buttons" },
+        continueBtn,
+        createElement(
+          "button",
+          { "data-action": "logout" },
+          getText("logoutText"),
+        ),
+      ),
+    );
+    return content;
+  };
+
+  // Content of the toast and banner stages: the message, the countdown and a
+  // button to continue
+  const createNoticeContent = () => {
+    const error = createElement("p", { class: "error", role: "alert" });
+    error.hidden = true;
+
+    const continueBtn = createElement(
+      "button",
+      { "data-action": "continue" },
+      getText("continueText"),
+    );
+    continueBtn.hidden = !canExtend();
+
+    const content = document.createDocumentFragment();
+    content.append(
+      createElement("p", { class: "message" }, getText("message")),
+      createElement("p", { class: "countdown", "aria-hidden": "true" }),
+      error,
+      createElement("div", { class: "buttons" }, continueBtn),
+    );
+    return content;
+  };
+
+  const createRenderContext = () => ({
+    remaining: getRemainingTime(),
+    formatCountdown,
+    canExtend: canExtend(),
+    stage: getStage()?.name ?? null,
+    locale,
+    title: getText("title"),
+    message: getText("message"),
+    continueText: getText("continueText"),
+    logoutText: getText("logoutText"),
+    continue: handleContinue,
+    logout: handleLogout,
+    close: closeDialog,
+    on: emitter.on,
+  });
+
+  const renderContent = () => {
+    if (config.render) return toContent(config.render(createRenderContext()));
+    if (config.template) {
+      return toContent(
+        typeof config.template === "string"
+          ? document.querySelector(config.template)
+          : config.template,
+      );
+    }
+    return createDefaultContent();
+  };
 
   const createDialog = () => {
-    dialog = document.createElement("dialog");
+    const element = document.createElement("dialog");
+    dialog = element;
     dialog.setAttribute("role", "dialog");
     dialog.setAttribute("aria-modal", "true");
-    dialog.setAttribute("aria-labelledby", "session-timeout-title");
-    dialog.classList.add("session-timeout-dialog");
+    dialog.setAttribute("data-namespace", config.namespace);
+    dialog.classList.add(
+      "session-timeout-dialog",
+      `${config.namespace}-dialog`,
+    );
+    fillDialog();
 
-    dialog.innerHTML = `
-      <p>${message}</p>
-      <div class="buttons">
-        <button data-action="continue">${continueText}</button>
-        <button data-action="logout">${logoutText}</button>
-      </div>
-    `;
+    // Escape fires a cancel event, which would close the dialog without
+    // running either handler, so run the configured action instead
+    dialog.addEventListener("cancel", (event) => {
+      event.preventDefault();
+      handleEscape();
+    });
+    // Some browsers close the dialog anyway (e.g. Escape pressed twice), so
+    // make sure we don't hold on to a dialog that's no longer open
+    dialog.addEventListener("close", () => {
+      if (dialog === element) closeDialog();
+    });
 
-    // Add event listeners
-    const continueBtn = dialog.querySelector('[data-action="continue"]');
-    const logoutBtn = dialog.querySelector('[data-action="logout"]');
+    return dialog;
+  };
 
-    continueBtn.addEventListener("click", handleContinue);
-    logoutBtn.addEventListener("click", handleLogout);
+  // Renders the dialog's content for the current locale. Called again when
+  // the locale changes while the dialog is open.
+  const fillDialog = () => {
+    dialog.setAttribute("lang", locale);
+    dialog.setAttribute("dir", isRtl(locale) ? "rtl" : "ltr");
+    setStageAttribute(dialog);
 
-    return dialog;
+    // Build the dialog from DOM nodes so option strings are never parsed as HTML
+    dialog.replaceChildren(renderContent());
+
+    // Label the dialog with its title and message. Custom content can opt in by
+    // using the same ids, otherwise the title option becomes the label
+    const titleId = `${config.namespace}-title`;
+    const messageId = `${config.namespace}-message`;
+    if (dialog.querySelector(`[id="${titleId}"]`)) {
+      dialog.removeAttribute("aria-label");
+      dialog.setAttribute("aria-labelledby", titleId);
+    } else {
+      dialog.removeAttribute("aria-labelledby");
+      dialog.setAttribute(
+        "aria-label",
+        toContent(getText("title")).textContent,
+      );
+    }
+    if (dialog.querySelector(`[id="${messageId}"]`)) {
+      dialog.setAttribute("aria-describedby", messageId);
+    } else {
+      dialog.removeAttribute("aria-describedby");
+    }
+
+    bindActions(dialog);
   };
 
-  const handleContinue = () => {
-    if (onContinue) onContinue();
+  // Add event listeners to any buttons with a known action, including ones in
+  // custom content
+  const bindActions = (element) => {
+    const actions = {
+      continue: handleContinue,
+      logout: handleLogout,
+      close: closeDialog,
+    };
+    element.querySelectorAll("[data-action]").forEach((button) => {
+      const action = actions[button.getAttribute("data-action")];
+      if (action) button.addEventListener("click", action);
+    });
+  };
+
+  // Lets each stage be styled differently, e.g. [data-stage="urgent"]
+  const setStageAttribute = (element) => {
+    const stage = getStage();
+    if (stage) {
+      element.setAttribute("data-stage", stage.name);
+    } else {
+      element.removeAttribute("data-stage");
+    }
+  };
+
+  const canExtend = () =>
+    extensions < Math.max(MIN_EXTENSIONS, config.maxExtensions);
+
+  const handleEscape = () => {
+    if (config.escapeAction === "continue" && canExtend()) {
+      handleContinue();
+    } else if (config.escapeAction === "logout") {
+      handleLogout();
+    } else if (config.escapeAction === "close") {
+      closeDialog();
+    }
+  };
+
+  const focusInitialElement = () => {
+    if (!config.initialFocus) return;
+    const selector = ["continue", "logout"].includes(config.initialFocus)
+      ? `[data-action="${config.initialFocus}"]`
+      : config.initialFocus;
+    const target = dialog.querySelector(selector);
+    if (target && !target.hidden && !target.disabled) {
+      target.focus();
+    } else if (config.initialFocus === "continue") {
+      // Continue isn't available, e.g. after the last allowed extension
+      dialog.querySelector('[data-action="logout"]')?.focus();
+    }
+  };
+
+  // The dialog, or the toast or banner of the current stage
+  const getWarningElement = () => dialog ?? notice;
+
+  const setBusy = (busy) => {
+    keepAlivePending = busy;
+    const element = getWarningElement();
+    if (!element || typeof element.querySelectorAll !== "function") return;
+    element.classList.toggle("busy", busy);
+    element.setAttribute("aria-busy", busy.toString());
+    element.querySelectorAll("button").forEach((button) => {
+      button.disabled = busy;
+    });
+    if (busy) showKeepAliveError(false);
+  };
+
+  const showKeepAliveError = (visible = true) => {
+    const error = getWarningElement()?.querySelector?.(".error");
+    if (!error) return;
+    error.textContent = visible ? getText("keepAliveErrorText") : "";
+    error.hidden = !visible;
+  };
+
+  const completeContinue = (response) => {
     closeDialog();
-    // Update the last reset time in localStorage for cross-tab sync
-    updateLastResetTime();
+    extensions += 1;
+    lastPingAt = Date.now();
+    // Update the last reset time for cross-tab sync
+    updateLastResetTime(Date.now(), "continue");
     // Restart timers after continuing
     startTimers();
+    emit("continue");
+    // The keep-alive response may tell us when the server session now expires
+    readExpiryHeader(response);
+    refreshExpiry();
   };
 
-  const handleLogout = () => {
-    if (onLogout) onLogout();
+  const settleKeepAlive = (pending, attempt) => {
+    pending.then(
+      (response) => {
+        if (destroyed || ended) return;
+        setBusy(false);
+        if (SESSION_GONE_STATUSES.includes(response?.status)) {
+          // Nothing left to continue, so treat it as a timeout
+          handleTimeout();
+        } else if (response?.ok === false) {
+          showKeepAliveError();
+        } else {
+          completeContinue(response);
+        }
+      },
+      () => {
+        if (destroyed || ended) return;
+        // Network errors are usually transient, so retry with backoff
+        if (attempt < config.keepAliveRetries) {
+          retryTimeoutId = setTimeout(
+            () => {
+              retryTimeoutId = null;
+              settleKeepAlive(
+                Promise.resolve().then(config.onContinue),
+                attempt + 1,
+              );
+            },
+            config.keepAliveRetryDelay * 2 ** attempt,
+          );
+          return;
+        }
+        setBusy(false);
+        showKeepAliveError();
+      },
+    );
+  };
+
+  const handleContinue = () => {
+    if (keepAlivePending || !canExtend()) return;
+    const result = config.onContinue ? config.onContinue() : undefined;
+    if (result && typeof result.then === "function") {
+      // Keep the dialog open until we know the session was actually extended
+      setBusy(true);
+      settleKeepAlive(result, 0);
+    } else {
+      completeContinue(result);
+    }
+  };
+
+  const runLogout = (remote, tab = tabId) => {
+    // The session is over, so nothing should warn or time out afterwards
+    ended = true;
+    stopTimers();
+    stopKeepAliveRetry();
+    if (config.onLogout) config.onLogout({ remote });
     closeDialog();
-    // Don't restart timers on logout
+    setState("expired");
+    emit("logout", { remote, tab });
+  };
+
+  const handleLogout = () => {
+    postMessage("logout");
+    runLogout(false);
   };
 
+  const getRemainingTime = () => {
+    // Resuming starts the session over, so the clock stands still at the top
+    if (isPaused()) return Math.max(0, config.timeoutAt);
+    const lastReset = lastResetAt ?? Date.now();
+    return Math.max(0, config.timeoutAt - (Date.now() - lastReset));
+  };
+
+  const updateCountdown = () => {
+    const remaining = getRemainingTime();
+    setState(state.status);
+    emit("tick", { remaining });
+    if (alerting && config.flashTitle) {
+      titleFlasher.flash(formatCountdown(remaining));
+    }
+    const element = getWarningElement();
+    if (!element || typeof element.querySelector !== "function") return;
+
+    const countdown = element.querySelector(".countdown");
+    if (countdown) countdown.textContent = formatCountdown(remaining);
+
+    // Only announce when crossing an interval boundary, not on every tick
+    const announcement = element.querySelector(".countdown-announcement");
+    const interval = Math.ceil(remaining / config.announceInterval);
+    if (
+      announcement &&
+      lastAnnouncement !== null &&
+      interval < lastAnnouncement
+    ) {
+      announcement.textContent = formatAnnouncement(remaining);
+    }
+    lastAnnouncement = interval;
+  };
+
+  const startCountdown = () => {
+    if (countdownIntervalId) return;
+    lastAnnouncement = null;
+    updateCountdown();
+    countdownIntervalId = setInterval(updateCountdown, 1000);
+  };
+
+  const stopCountdown = () => {
+    if (countdownIntervalId) {
+      clearInterval(countdownIntervalId);
+      countdownIntervalId = null;
+    }
+  };
+
+  const stopKeepAliveRetry = () => {
+    if (retryTimeoutId) {
+      clearTimeout(retryTimeoutId);
+      retryTimeoutId = null;
+    }
+    keepAlivePending = false;
+  };
+
+  const closeNotification = () => {
+    notification?.close();
+    notification = null;
+  };
+
+  // Desktop notifications are only for when the page can't be seen. They're
+  // closed again once the user comes back.
+  const updateNotification = () => {
+    if (!alerting || document.visibilityState !== "hidden") {
+      closeNotification();
+      return;
+    }
+    if (notification) return;
+    notification = showNotification(
+      toContent(getText("title")).textContent,
+      toContent(getText("message")).textContent,
+      config.namespace,
+      () => {
+        // Clicking brings the user back and continues the session
+        if (typeof window !== "undefined") window.focus();
+        closeNotification();
+        handleContinue();
+      },
+    );
+  };
+
+  const startAlerts = () => {
+    if (config.headless || typeof document === "undefined") return;
+    alerting = true;
+    if (config.faviconBadge && !restoreFavicon) {
+      restoreFavicon = showFaviconBadge(
+        typeof config.faviconBadge === "string"
+          ? config.faviconBadge
+          : undefined,
+      );
+    }
+    if (config.notification) {
+      if (!alertVisibilityListener) {
+        alertVisibilityListener = updateNotification;
+        document.addEventListener("visibilitychange", alertVisibilityListener);
+      }
+      // A new stage replaces the notification of the one before
+      closeNotification();
+      updateNotification();
+    }
+  };
+
+  const stopAlerts = () => {
+    if (!alerting) return;
+    alerting = false;
+    closeNotification();
+    titleFlasher.restore();
+    restoreFavicon?.();
+    restoreFavicon = null;
+    if (alertVisibilityListener) {
+      document.removeEventListener("visibilitychange", alertVisibilityListener);
+      alertVisibilityListener = null;
+    }
+  };
+
+  const setupPermissionRequest = () => {
+    stopPermissionRequest?.();
+    stopPermissionRequest = config.notification
+      ? requestPermissionOnGesture()
+      : null;
+  };
+
+  const removeNotice = () => {
+    if (!notice) return;
+    // Removing a popover also hides it
+    notice.remove();
+    notice = null;
+  };
+
+  const fillNotice = () => {
+    notice.setAttribute("lang", locale);
+    notice.setAttribute("dir", isRtl(locale) ? "rtl" : "ltr");
+    setStageAttribute(notice);
+    notice.replaceChildren(createNoticeContent());
+    bindActions(notice);
+  };
+
+  // Toasts and banners don't block the page. A banner is placed first in the
+  // page so it's read early, and a toast is shown as a popover so it stays on
+  // top wherever it's positioned.
+  const showNotice = (display) => {
+    if (config.headless) return;
+    if (notice?.getAttribute("data-display") === display) {
+      fillNotice();
+      return;
+    }
+    removeNotice();
+
+    notice = document.createElement("div");
+    notice.setAttribute("data-display", display);
+    notice.setAttribute("data-namespace", config.namespace);
+    notice.setAttribute("role", display === "banner" ? "alert" : "status");
+    notice.classList.add(
+      `session-timeout-${display}`,
+      `${config.namespace}-${display}`,
+    );
+    fillNotice();
+
+    if (display === "banner") {
+      document.body.prepend(notice);
+    } else {
+      notice.setAttribute("popover", "manual");
+      document.body.appendChild(notice);
+      // Not available in older browsers and jsdom
+      if (typeof notice.showPopover === "function") notice.showPopover();
+    }
+  };
+
+  // Closes the dialog and any toast or banner
   const closeDialog = () => {
+    stopCountdown();
+    stopAlerts();
+    removeNotice();
     if (dialog) {
       // Check if close method exists (for environments like jsdom that don't support it)
       if (typeof dialog.close === "function") {
@@ -83,175 +776,934 @@ export default function sessionTimeout(options = {}) {
       }
       dialog = null;
     }
+    // Return focus to wherever it was before the dialog opened
+    if (
+      previousFocus?.isConnected &&
+      typeof previousFocus.focus === "function"
+    ) {
+      previousFocus.focus();
+    }
+    previousFocus = null;
   };
 
   const showDialog = () => {
-    if (!dialog) {
+    // Headless mode leaves all rendering to the app
+    if (config.headless) return;
+    const created = !dialog;
+    if (created) {
+      previousFocus = document.activeElement;
       dialog = createDialog();
       document.body.appendChild(dialog);
     }
     // Check if showModal method exists (for environments like jsdom that don't support it)
-    if (typeof dialog.showModal === "function") {
+    if (typeof dialog.showModal === "function" && !dialog.open) {
       dialog.showModal();
     }
+    if (created) focusInitialElement();
+    startCountdown();
   };
 
-  const handleTimeout = () => {
+  const runTimeout = (remote, tab = tabId) => {
+    ended = true;
+    stopTimers();
+    stopKeepAliveRetry();
     closeDialog(); // Close dialog if still open
-    if (onTimeout) onTimeout();
+    setState("expired");
+    // Every tab saves its own forms, since each one leaves the page
+    if (config.saveForms) {
+      saveForms(config.saveForms, { namespace: config.namespace });
+    }
+    if (config.onBeforeTimeout) config.onBeforeTimeout({ remote });
+    if (config.onTimeout) config.onTimeout({ remote });
+    emit("timeout", { remote, tab });
   };
 
-  const updateLastResetTime = () => {
-    if (typeof localStorage !== "undefined") {
-      const timestamp = Date.now();
-      localStorage.setItem(storageKey, timestamp.toString());
-    }
+  const handleTimeout = () => {
+    // If another tab already timed out this session, it has done any
+    // server-side work, so this tab handles it like a remote timeout
+    const message = transport?.read?.();
+    const remote =
+      message?.type === "timeout" &&
+      message.tab !== tabId &&
+      message.time >= resetSentAt;
+    if (!remote) postMessage("timeout");
+    runTimeout(remote, remote ? message.tab : tabId);
   };
 
-  const getLastResetTime = () => {
-    if (typeof localStorage !== "undefined") {
-      const stored = localStorage.getItem(storageKey);
-      return stored ? parseInt(stored, 10) : null;
-    }
-    return null;
+  const setState = (status) => {
+    const remaining = getRemainingTime();
+    if (status === state.status && remaining === state.remaining) return;
+    // A new object on every change, so it can be compared by reference
+    state = { status, remaining };
+    stateEmitter.emit("change", state);
   };
 
-  const handleStorageChange = (event) => {
-    if (event.key === storageKey && event.newValue) {
-      // Another tab reset the timers, so we should reset ours too
-      const newResetTime = parseInt(event.newValue, 10);
-      const currentTime = Date.now();
-      const timeSinceReset = currentTime - newResetTime;
+  const getState = () => state;
+
+  const subscribe = (listener) => stateEmitter.on("change", listener);
+
+  const emit = (type, details = {}) => {
+    emitter.emit(type, {
+      type,
+      remaining: getRemainingTime(),
+      tab: tabId,
+      remote: false,
+      ...details,
+    });
+  };
+
+  const postMessage = (type, data = {}) => {
+    if (!transport) return;
+    messageCount += 1;
+    transport.post({
+      type,
+      id: `${tabId}-${messageCount}`,
+      tab: tabId,
+      time: Date.now(),
+      ...data,
+    });
+  };
+
+  const updateLastResetTime = (timestamp = Date.now(), type = "reset") => {
+    lastResetAt = timestamp;
+    resetSentAt = Date.now();
+    // Continues carry the extension count so every tab enforces the same limit
+    postMessage(
+      type,
+      type === "continue"
+        ? { resetAt: timestamp, extensions }
+        : { resetAt: timestamp },
+    );
+  };
+
+  const handleMessage = (message) => {
+    if (!message || message.tab === tabId) return;
+    // The same message can arrive through more than one transport
+    if (message.id !== undefined) {
+      if (seenMessageIds.has(message.id)) return;
+      seenMessageIds.add(message.id);
+      if (seenMessageIds.size > SEEN_MESSAGE_LIMIT) {
+        seenMessageIds.delete(seenMessageIds.values().next().value);
+      }
+    }
+    // Ignore logouts and timeouts sent before the current session started
+    const stale = message.time < resetSentAt;
+    const remote = { remote: true, tab: message.tab };
 
-      // If warning time has already passed, show dialog immediately
-      if (timeSinceReset >= warnAt) {
+    switch (message.type) {
+      case "reset":
+      case "continue":
+        // Extensions are counted across all tabs
+        extensions = Math.max(extensions, message.extensions ?? 0);
+        if (message.resetAt === lastResetAt) return;
+        // Another tab reset the timers, so our deadlines move with it
+        lastResetAt = message.resetAt;
+        resetSentAt = message.time;
         closeDialog();
-        showDialog();
+        startTimers();
+        emit("sync", { ...remote, message });
+        emit(message.type, remote);
+        // Tell tabs opened after we paused that we're still holding the session
+        if (isLocallyPaused()) sendPause();
+        break;
+      case "pause": {
+        // Pauses sent without a lease are held as long as our own
+        const until = message.until ?? message.time + getPauseLease();
+        if (stale || until <= Date.now()) return;
+        const renewed = pausedTabs.has(message.tab);
+        const wasPaused = isPaused();
+        pausedTabs.set(message.tab, { until, time: message.time });
+        if (renewed) return;
+        emit("sync", { ...remote, message });
+        if (!wasPaused) {
+          closeDialog();
+          startTimers();
+          emit("pause", remote);
+        }
+        break;
       }
-      // Only reset if the new reset time is more recent than our current timers
-      else if (timeSinceReset < Math.min(warnAt, timeoutAt)) {
+      case "resume": {
+        const wasPaused = isPaused();
+        pausedTabs.delete(message.tab);
+        // Resuming resets the session, in every tab
+        lastResetAt = message.resetAt;
+        resetSentAt = message.time;
         closeDialog();
         startTimers();
+        emit("sync", { ...remote, message });
+        if (wasPaused && !isPaused()) emit("resume", remote);
+        break;
+      }
+      case "leader":
+        emit("sync", { ...remote, message });
+        lastPingAt = Math.max(lastPingAt ?? 0, message.pingedAt ?? 0);
+        // Two tabs may claim the lease at once, so the lowest tab id wins
+        if (
+          !leader ||
+          leader.until <= Date.now() ||
+          leader.tab === message.tab ||
+          message.tab < leader.tab
+        ) {
+          leader = { tab: message.tab, until: message.until };
+        }
+        break;
+      case "update": {
+        emit("sync", { ...remote, message });
+        const shared = { ...message.options };
+        if (Array.isArray(shared.stages)) {
+          shared.stages = mergeStages(shared.stages);
+        }
+        applyUpdate(shared, remote);
+        break;
+      }
+      case "warn":
+        emit("sync", { ...remote, message });
+        checkDeadlines();
+        break;
+      case "logout":
+        if (stale) return;
+        emit("sync", { ...remote, message });
+        runLogout(true, message.tab);
+        break;
+      case "timeout":
+        if (stale || ended) return;
+        emit("sync", { ...remote, message });
+        runTimeout(true, message.tab);
+        break;
+    }
+  };
+
+  const setupTransport = () => {
+    transport = createTransport(config.transport, {
+      key: config.storageKey,
+      // A custom storage key keeps tabs apart from other sessions in the
+      // namespace, so it names the BroadcastChannel too
+      name: currentOptions.storageKey ?? config.namespace,
+    });
+    unsubscribeTransport = transport.subscribe(handleMessage);
+  };
+
+  const closeTransport = () => {
+    if (!transport) return;
+    unsubscribeTransport();
+    transport.close();
+    unsubscribeTransport = null;
+    transport = null;
+  };
+
+  const handleActivity = () => {
+    // Once the modal warning is showing, the user has to make an explicit
+    // choice. Toasts and banners still let activity reset the session.
+    if (dialog || getStage()?.display === "modal" || isPaused()) return;
+    // Using the page doesn't bring back a session that's over
+    if (ended) return;
+    // Throttle resets so we don't write to localStorage on every event
+    if (resetSentAt && Date.now() - resetSentAt < config.activityThrottle)
+      return;
+    reset();
+  };
+
+  const setupActivityListeners = () => {
+    if (!config.trackActivity || typeof document === "undefined") return;
+    activityListener = handleActivity;
+    config.activityEvents.forEach((eventName) => {
+      // Capture so scrolling inside nested elements is also seen
+      document.addEventListener(eventName, activityListener, {
+        capture: true,
+        passive: true,
+      });
+    });
+  };
+
+  const removeActivityListeners = () => {
+    if (!activityListener || typeof document === "undefined") return;
+    config.activityEvents.forEach((eventName) => {
+      document.removeEventListener(eventName, activityListener, {
+        capture: true,
+      });
+    });
+    activityListener = null;
+  };
+
+  const stopTimers = () => {
+    if (deadlineTimeoutId) {
+      clearTimeout(deadlineTimeoutId);
+      deadlineTimeoutId = null;
+    }
+    if (heartbeatIntervalId) {
+      clearInterval(heartbeatIntervalId);
+      heartbeatIntervalId = null;
+    }
+  };
+
+  // Shows the stage's warning. Each stage replaces the UI of the one before,
+  // except callback-only stages, which leave it as it is.
+  const enterStage = (index) => {
+    const first = stageIndex < 0;
+    stageIndex = index;
+    const stage = getStage();
+    setState("warning");
+
+    if (stage.display === "modal") {
+      removeNotice();
+      const open = !!dialog;
+      showDialog();
+      // A later stage, like a final urgent one, updates the open dialog
+      if (open && dialog.getAttribute("data-stage") !== stage.name) {
+        refreshDialog();
       }
+    } else if (stage.display !== "none") {
+      if (dialog) closeDialog();
+      showNotice(stage.display);
+    }
+    if (stage.display !== "none") startAlerts();
+    startCountdown();
+
+    // Other tabs check their deadlines, so they reach the stage too
+    postMessage("warn");
+    if (first) emit("warn");
+    emit("stage", { stage: stage.name, display: stage.display });
+  };
+
+  const checkDeadlines = () => {
+    if (ended || isPaused()) return;
+
+    // Deadlines are absolute wall-clock times derived from the last reset, so
+    // throttled or suspended timers can't delay them, only notice them late
+    const now = Date.now();
+    const lastReset = lastResetAt ?? now;
+    const timeoutDeadline = lastReset + Math.max(0, config.timeoutAt);
+
+    if (now >= timeoutDeadline) {
+      handleTimeout();
+      return;
+    }
+
+    // Stages missed while the page was asleep are skipped
+    const reached = getReachedStage(now - lastReset);
+    if (reached > stageIndex) enterStage(reached);
+
+    // Schedule the next check for whichever deadline comes next
+    if (deadlineTimeoutId) clearTimeout(deadlineTimeoutId);
+    const nextStage = stages[stageIndex + 1];
+    const nextDeadline = nextStage
+      ? Math.min(lastReset + Math.max(0, nextStage.at), timeoutDeadline)
+      : timeoutDeadline;
+    deadlineTimeoutId = setTimeout(
+      checkDeadlines,
+      Math.min(nextDeadline - now, MAX_TIMEOUT_DELAY),
+    );
+  };
+
+  const startTimers = () => {
+    stopTimers();
+    stageIndex = -1;
+    ended = false;
+    // The clock stands still while this or another tab holds the session.
+    // The heartbeat renews and checks the pause leases instead.
+    if (isPaused()) {
+      setState("paused");
+      heartbeatIntervalId = setInterval(checkPause, config.checkInterval);
+      return;
+    }
+    setState("idle");
+
+    // The heartbeat catches deadlines missed while timers were throttled
+    heartbeatIntervalId = setInterval(checkDeadlines, config.checkInterval);
+    checkDeadlines();
+  };
+
+  const handleWake = (event) => {
+    if (
+      event.type === "visibilitychange" &&
+      document.visibilityState === "hidden"
+    ) {
+      return;
     }
+
+    // Renew our pause, which pagehide released if the page was in the
+    // back/forward cache, and drop pauses that ran out while asleep
+    if (isPaused()) checkPause();
+
+    // Messages may have been missed while asleep, so handle the last one
+    // before checking the deadlines
+    handleMessage(transport?.read?.());
+    checkDeadlines();
   };
 
-  const setupStorageListener = () => {
+  const setupWakeListeners = () => {
+    wakeListener = handleWake;
+    if (
+      typeof document !== "undefined" &&
+      typeof document.addEventListener === "function"
+    ) {
+      document.addEventListener("visibilitychange", wakeListener);
+    }
     if (
       typeof window !== "undefined" &&
       typeof addEventListener !== "undefined"
     ) {
-      storageEventListener = handleStorageChange;
-      window.addEventListener("storage", storageEventListener);
+      window.addEventListener("focus", wakeListener);
+      window.addEventListener("pageshow", wakeListener);
     }
   };
 
-  const removeStorageListener = () => {
+  const removeWakeListeners = () => {
+    if (!wakeListener) return;
+    if (
+      typeof document !== "undefined" &&
+      typeof document.removeEventListener === "function"
+    ) {
+      document.removeEventListener("visibilitychange", wakeListener);
+    }
     if (
-      storageEventListener &&
       typeof window !== "undefined" &&
       typeof removeEventListener !== "undefined"
     ) {
-      window.removeEventListener("storage", storageEventListener);
-      storageEventListener = null;
+      window.removeEventListener("focus", wakeListener);
+      window.removeEventListener("pageshow", wakeListener);
     }
+    wakeListener = null;
   };
 
-  const startTimers = () => {
-    // Clear any existing timers
-    if (warnTimeoutId) {
-      clearTimeout(warnTimeoutId);
-      warnTimeoutId = null;
+  const isLocallyPaused = () => pausedByApi || pausedByElement;
+
+  const isPaused = () => isLocallyPaused() || pausedTabs.size > 0;
+
+  // The session is held by pause() and by keep-alive elements in the page
+  const setPaused = (reason, paused) => {
+    if (destroyed || ended) return;
+    const wasLocallyPaused = isLocallyPaused();
+    const wasPaused = isPaused();
+    if (reason === "element") {
+      pausedByElement = paused;
+    } else {
+      pausedByApi = paused;
     }
-    if (redirectTimeoutId) {
-      clearTimeout(redirectTimeoutId);
-      redirectTimeoutId = null;
+    if (isLocallyPaused() === wasLocallyPaused) return;
+
+    if (isLocallyPaused()) {
+      sendPause();
+      closeDialog();
+      startTimers();
+      if (!wasPaused) emit("pause");
+    } else {
+      // The session was in use the whole time, so it starts over
+      updateLastResetTime(Date.now(), "resume");
+      startTimers();
+      if (!isPaused()) emit("resume");
     }
+  };
 
-    // Handle zero or negative timeouts
-    const actualWarnAt = Math.max(0, warnAt);
-    const actualTimeoutAt = Math.max(0, timeoutAt);
+  const getPauseLease = () => Math.max(PAUSE_LEASE, 2 * config.checkInterval);
 
-    // Set warning timer
-    warnTimeoutId = setTimeout(() => {
-      showDialog();
-    }, actualWarnAt);
+  // A pause is a lease the pausing tab keeps renewing, so a tab that crashes
+  // or is discarded without a pagehide doesn't hold the session forever
+  const sendPause = () => {
+    postMessage("pause", { until: Date.now() + getPauseLease() });
+  };
+
+  const checkPause = () => {
+    if (isLocallyPaused()) sendPause();
+
+    const now = Date.now();
+    let expired = null;
+    pausedTabs.forEach((lease, tab) => {
+      if (lease.until > now) return;
+      pausedTabs.delete(tab);
+      if (!expired || lease.time > expired.time) expired = { ...lease, tab };
+    });
+    if (!expired || isPaused()) return;
+
+    // The session was last known to be in use when the lease was renewed
+    lastResetAt = Math.max(lastResetAt ?? 0, expired.time);
+    startTimers();
+    emit("resume", { remote: true, tab: expired.tab });
+  };
+
+  const pause = () => setPaused("api", true);
+
+  const resume = () => setPaused("api", false);
+
+  // Don't leave other tabs paused by a page that's going away
+  const releasePause = () => {
+    if (isLocallyPaused()) postMessage("resume", { resetAt: Date.now() });
+  };
+
+  const handlePageHide = () => {
+    releasePause();
+    resignLeadership();
+  };
+
+  const checkKeepAliveElements = () => {
+    const selector = `[data-${config.namespace}-keepalive]`;
+    setPaused("element", Boolean(document.querySelector(selector)));
+  };
+
+  const setupPauseListeners = () => {
+    if (
+      typeof document !== "undefined" &&
+      typeof document.querySelector === "function" &&
+      typeof MutationObserver !== "undefined" &&
+      document.documentElement
+    ) {
+      keepAliveObserver = new MutationObserver(checkKeepAliveElements);
+      keepAliveObserver.observe(document.documentElement, {
+        subtree: true,
+        childList: true,
+        attributes: true,
+        attributeFilter: [`data-${config.namespace}-keepalive`],
+      });
+      checkKeepAliveElements();
+    }
+    if (
+      typeof window !== "undefined" &&
+      typeof addEventListener !== "undefined"
+    ) {
+      pageHideListener = handlePageHide;
+      window.addEventListener("pagehide", pageHideListener);
+    }
+  };
+
+  const removePauseListeners = () => {
+    keepAliveObserver?.disconnect();
+    keepAliveObserver = null;
+    if (
+      pageHideListener &&
+      typeof window !== "undefined" &&
+      typeof removeEventListener !== "undefined"
+    ) {
+      window.removeEventListener("pagehide", pageHideListener);
+    }
+    pageHideListener = null;
+  };
+
+  // Only one tab sends the keep-alive heartbeat. It holds a lease it renews
+  // on every beat, and another tab takes over once the lease runs out.
+  const canLead = () =>
+    !leader || leader.tab === tabId || leader.until <= Date.now();
+
+  const resignLeadership = () => {
+    if (leader?.tab !== tabId) return;
+    leader = null;
+    postMessage("leader", { until: 0, pingedAt: lastPingAt });
+  };
+
+  const sendHeartbeat = () => {
+    // Once the warning shows, the user decides whether to continue
+    if (state.status !== "idle" && state.status !== "paused") return;
+    if (!canLead()) return;
+
+    // Only extend the server session if it was used since the last request.
+    // A paused session is in use the whole time.
+    const active = isPaused() || (lastResetAt ?? 0) > (lastPingAt ?? 0);
+    if (active && !keepAlivePending) {
+      lastPingAt = Date.now();
+      // Run onContinue right away, turning thrown errors into rejections
+      new Promise((resolve) => resolve(config.onContinue?.())).then(
+        (response) => {
+          if (destroyed || ended) return;
+          if (SESSION_GONE_STATUSES.includes(response?.status)) {
+            handleTimeout();
+          } else if (response?.ok !== false) {
+            readExpiryHeader(response);
+            // The new expiry isn't activity, so don't ping again because of it
+            lastPingAt = Math.max(lastPingAt, lastResetAt ?? 0);
+          }
+        },
+        // The next heartbeat tries again
+        () => {},
+      );
+    }
+
+    leader = { tab: tabId, until: Date.now() + 2 * config.keepAliveInterval };
+    // Leases are only passed on, not kept as the session's last change, so a
+    // tab waking up still finds the last reset
+    postMessage("leader", { until: leader.until, pingedAt: lastPingAt });
+  };
+
+  const stopKeepAliveHeartbeat = () => {
+    if (keepAliveIntervalId) {
+      clearInterval(keepAliveIntervalId);
+      keepAliveIntervalId = null;
+    }
+  };
+
+  const startKeepAliveHeartbeat = () => {
+    stopKeepAliveHeartbeat();
+    if (!config.keepAliveInterval) return;
+    keepAliveIntervalId = setInterval(sendHeartbeat, config.keepAliveInterval);
+  };
 
-    // Set timeout timer
-    redirectTimeoutId = setTimeout(() => {
+  // Whether a response from the given URL extends the session
+  const matchesRequest = (url) => {
+    if (typeof location === "undefined") return false;
+    let parsed;
+    try {
+      parsed = new URL(url, location.href);
+    } catch {
+      return false;
+    }
+    // Only our own server knows about the session
+    if (parsed.origin !== location.origin) return false;
+
+    const filter = config.interceptRequests;
+    const path = `${parsed.pathname}${parsed.search}`;
+    if (typeof filter === "function") return Boolean(filter(parsed));
+    if (filter instanceof RegExp) return filter.test(path);
+    if (typeof filter === "string") return parsed.pathname.startsWith(filter);
+    return true;
+  };
+
+  const handleResponse = (url, status) => {
+    if (destroyed || ended || !matchesRequest(url)) return;
+    if (SESSION_GONE_STATUSES.includes(status)) {
+      // The server already ended the session, so there's nothing to warn about
       handleTimeout();
-    }, actualTimeoutAt);
+    } else if (status >= 200 && status < 300) {
+      // Throttled like activity, so busy pages don't flood the other tabs
+      if (resetSentAt && Date.now() - resetSentAt < config.activityThrottle) {
+        return;
+      }
+      reset();
+    }
+  };
+
+  const setupRequestInterceptor = () => {
+    if (!config.interceptRequests) return;
+    unsubscribeRequests = interceptRequests(handleResponse);
+  };
+
+  const removeRequestInterceptor = () => {
+    unsubscribeRequests?.();
+    unsubscribeRequests = null;
+  };
+
+  const applyExpiry = (expiresAt) => {
+    if (destroyed) return;
+    // Store the expiry as the reset time it implies, so the warning and timeout
+    // deadlines follow it and other tabs pick it up like any other reset
+    const lastReset = expiresAt - Math.max(0, config.timeoutAt);
+    if (getReachedStage(Date.now() - lastReset) < 0) {
+      closeDialog();
+    }
+    updateLastResetTime(lastReset);
+    startTimers();
+    emit("reset");
+  };
+
+  const setExpiresAt = (date) => {
+    const expiresAt = parseExpiry(date);
+    if (expiresAt === null) {
+      throw new TypeError(`Invalid session expiry: ${date}`);
+    }
+    applyExpiry(expiresAt);
+  };
+
+  const refreshExpiry = () => {
+    if (!config.getExpiry) return;
+    Promise.resolve()
+      .then(config.getExpiry)
+      .then((value) => {
+        const expiresAt = parseExpiry(value);
+        if (expiresAt !== null) applyExpiry(expiresAt);
+      })
+      // Keep the client-side deadlines if the server can't be reached
+      .catch(() => {});
+  };
+
+  const readExpiryHeader = (response) => {
+    if (!config.expiryHeader) return;
+    const expiresAt = parseExpiry(
+      response?.headers?.get?.(config.expiryHeader),
+    );
+    if (expiresAt !== null) applyExpiry(expiresAt);
+  };
+
+  const readExpiryMeta = () => {
+    if (
+      !config.expiryMeta ||
+      typeof document === "undefined" ||
+      typeof document.querySelector !== "function"
+    ) {
+      return;
+    }
+    const meta = document.querySelector(`meta[name="${config.expiryMeta}"]`);
+    const expiresAt = parseExpiry(meta?.getAttribute("content"));
+    if (expiresAt !== null) applyExpiry(expiresAt);
   };
 
   const reset = () => {
     // Close dialog if it's open
     closeDialog();
-    // Update the last reset time in localStorage
+    // Update the last reset time for cross-tab sync
     updateLastResetTime();
     // Restart timers
     startTimers();
+    emit("reset");
+    // Let the server correct the deadline if it knows better
+    refreshExpiry();
   };
 
-  const destroy = () => {
-    if (warnTimeoutId) {
-      clearTimeout(warnTimeoutId);
-      warnTimeoutId = null;
+  // Re-renders an open dialog or notice, e.g. after the locale or the text
+  // changed
+  const refreshDialog = () => {
+    if (notice) {
+      fillNotice();
+      updateCountdown();
     }
-    if (redirectTimeoutId) {
-      clearTimeout(redirectTimeoutId);
-      redirectTimeoutId = null;
+    if (!dialog || typeof dialog.querySelector !== "function") return;
+
+    // Re-rendering replaces the buttons, so keep focus inside the dialog
+    const hadFocus = dialog.contains(document.activeElement);
+    fillDialog();
+    if (hadFocus) focusInitialElement();
+    updateCountdown();
+  };
+
+  // Switches the dialog language without recreating the instance
+  const setLocale = (nextLocale) => {
+    locale = normalizeLocale(nextLocale);
+    strings = resolveMessages(locale, config.messages);
+    refreshDialog();
+  };
+
+  // Applies new timings to the current session. The deadlines stay relative to
+  // the last reset, so the session isn't extended by the change itself.
+  const rescheduleTimers = () => {
+    if (ended || destroyed) return;
+    const elapsed = Date.now() - (lastResetAt ?? Date.now());
+    if (stageIndex < 0 || getReachedStage(elapsed) < stageIndex) {
+      // Not warned yet, or the current stage now comes later
+      if (stageIndex >= 0) closeDialog();
+      startTimers();
+    } else {
+      // Still past the current stage, so keep it showing and only move the
+      // later deadlines
+      stopTimers();
+      heartbeatIntervalId = setInterval(checkDeadlines, config.checkInterval);
+      checkDeadlines();
     }
-    closeDialog();
-    removeStorageListener();
+    setState(state.status);
   };
 
-  // Setup storage listener for cross-tab synchronization
-  setupStorageListener();
+  const applyUpdate = (partialOptions, details = {}) => {
+    if (destroyed) return;
+    FIXED_OPTIONS.forEach((name) => {
+      const value = partialOptions[name];
+      if (value !== undefined && value !== config[name]) {
+        throw new TypeError(
+          `session-timeout: "${name}" can't be changed by update(). Destroy the session and create a new one instead.`,
+        );
+      }
+    });
+    const nextOptions = { ...currentOptions, ...partialOptions };
+    warnUnknownOptions(partialOptions);
+    validateOptions(nextOptions);
 
-  // Update localStorage on initialization to indicate this tab is active
-  updateLastResetTime();
+    // Activity listeners are removed with the old events before switching
+    removeActivityListeners();
+    currentOptions = nextOptions;
+    config = resolveOptions(nextOptions);
+    stages = resolveStages();
+    setupActivityListeners();
 
-  // Check if there's a recent reset from another tab
-  const lastResetTime = getLastResetTime();
-  if (lastResetTime) {
-    const timeSinceReset = Date.now() - lastResetTime;
-    const minTimeout = Math.min(warnAt, timeoutAt);
+    // Keep a locale set with setLocale() unless a new one is given
+    if (partialOptions.locale !== undefined) {
+      locale = normalizeLocale(config.locale ?? getDefaultLocale());
+    }
+    strings = resolveMessages(locale, config.messages);
 
-    // If warning time has already passed, show dialog immediately
-    if (timeSinceReset >= warnAt) {
-      showDialog();
+    if ("keepAliveInterval" in partialOptions) startKeepAliveHeartbeat();
+    if ("interceptRequests" in partialOptions) {
+      removeRequestInterceptor();
+      setupRequestInterceptor();
     }
-    // If the last reset was recent enough, adjust our timers
-    else if (timeSinceReset < minTimeout) {
-      // Start timers with adjusted delays
-      const remainingWarnTime = Math.max(0, warnAt - timeSinceReset);
-      const remainingTimeoutTime = Math.max(0, timeoutAt - timeSinceReset);
+    if ("notification" in partialOptions) setupPermissionRequest();
 
-      if (remainingWarnTime > 0) {
-        warnTimeoutId = setTimeout(() => {
-          showDialog();
-        }, remainingWarnTime);
-      }
+    const shared = SHARED_OPTIONS.filter((name) => name in partialOptions);
+    if (shared.length || "checkInterval" in partialOptions) {
+      rescheduleTimers();
+    }
+    refreshDialog();
 
-      if (remainingTimeoutTime > 0) {
-        redirectTimeoutId = setTimeout(() => {
-          handleTimeout();
-        }, remainingTimeoutTime);
-      }
-    } else {
-      // Start fresh timers
-      startTimers();
+    // Other tabs adopt the new timings so they keep warning at the same time
+    if (!details.remote && shared.length) {
+      postMessage("update", {
+        options: {
+          ...Object.fromEntries(
+            SHARED_OPTIONS.map((name) => [name, config[name]]),
+          ),
+          stages: config.stages?.map(getStageTimings) ?? null,
+        },
+      });
     }
-  } else {
-    // No previous reset, start fresh timers
-    startTimers();
-  }
+    emit("update", details);
+  };
+
+  const update = (partialOptions = {}) => applyUpdate(partialOptions);
+
+  // Stage texts may be nodes or functions, which can't be sent to other tabs,
+  // so only the timings are shared
+  const getStageTimings = (stage) =>
+    Object.fromEntries(
+      STAGE_TIMING_FIELDS.filter((field) => stage[field] !== undefined).map(
+        (field) => [field, stage[field]],
+      ),
+    );
+
+  // Other tabs' stage timings, with the texts of this tab's matching stages,
+  // by name or else by position
+  const mergeStages = (timings) => {
+    const own = config.stages ?? [];
+    return timings.map((timing, index) => {
+      const match =
+        timing.name !== undefined
+          ? own.find((stage) => stage.name === timing.name)
+          : own[index];
+      return { ...match, ...getStageTimings(timing) };
+    });
+  };
+
+  // Tears the session down for every caller holding it
+  const destroy = () => {
+    if (destroyed) return;
+    // The namespace is free for a new session once this one is gone
+    const registry = getRegistry();
+    if (registry.get(config.namespace)?.session === controller) {
+      registry.delete(config.namespace);
+    }
+
+    releasePause();
+    resignLeadership();
+    destroyed = true;
+    stopTimers();
+    stopKeepAliveHeartbeat();
+    stopKeepAliveRetry();
+    closeDialog();
+    closeTransport();
+    removeActivityListeners();
+    removeWakeListeners();
+    removePauseListeners();
+    removeRequestInterceptor();
+    stopPermissionRequest?.();
+    emit("destroy");
+    emitter.clear();
+    stateEmitter.clear();
+  };
 
   // Return public API
-  return {
+  const controller = {
     destroy,
     show: showDialog,
     close: closeDialog,
     reset,
+    setExpiresAt,
+    setLocale,
+    update,
+    pause,
+    resume,
+    on: emitter.on,
+    off: emitter.off,
+    getState,
+    subscribe,
+    continue: handleContinue,
+    logout: handleLogout,
   };
+
+  try {
+    // Setup the transport for cross-tab synchronization
+    setupTransport();
+
+    // Hold the session open while keep-alive elements are in the page. This
+    // reads the page, so it runs before any timers are started
+    setupPauseListeners();
+
+    // Setup activity listeners for idle detection (opt-in)
+    setupActivityListeners();
+
+    // Re-check deadlines when the page wakes up or becomes visible again
+    setupWakeListeners();
+
+    // Reset on responses from our own server (opt-in)
+    setupRequestInterceptor();
+
+    // Ask for permission to show notifications (opt-in)
+    setupPermissionRequest();
+
+    // Reset on initialization to indicate this tab is active
+    updateLastResetTime();
+    startTimers();
+
+    // Loading the page was a request to the server, so the heartbeat only
+    // needs to ping after activity from here on
+    lastPingAt = lastResetAt;
+    startKeepAliveHeartbeat();
+
+    // Adopt the server's expiry time if one is provided
+    readExpiryMeta();
+    refreshExpiry();
+  } catch (error) {
+    // The caller never gets a controller, so nothing may be left running
+    destroy();
+    throw error;
+  }
+
+  return controller;
+};
+
+// Returns the session running in the namespace, or null. Destroying it ends
+// the session for every caller holding it.
+export const getInstance = (namespace = DEFAULT_NAMESPACE) =>
+  getRegistry().get(namespace)?.session ?? null;
+
+// Destroys every session on the page, including ones created by other copies
+// of the library, no matter how many callers hold them
+export const destroyAll = () => {
+  [...getRegistry().values()].forEach((entry) => entry.session.destroy());
+};
+
+// Each caller gets its own handle on the shared session. Destroying a handle
+// releases that caller's hold once, however often it's called, and the
+// session is torn down when the last hold is released.
+const createHandle = (namespace, entry) => {
+  let released = false;
+  return {
+    ...entry.session,
+    destroy: () => {
+      if (released) return;
+      released = true;
+      if (getRegistry().get(namespace) !== entry) return;
+      entry.holders -= 1;
+      if (entry.holders === 0) entry.session.destroy();
+    },
+  };
+};
+
+// One session runs per namespace. Calling this again for a namespace that's
+// already running returns its session, updated with the new options, so
+// scripts or bundles that each set up the session don't stack timers and
+// dialogs. Each caller destroys the session when it's done with it, and it
+// keeps running until the last one does.
+export default function sessionTimeout(options = {}) {
+  const registry = getRegistry();
+  const namespace = options.namespace ?? DEFAULT_NAMESPACE;
+  const existing = registry.get(namespace);
+  if (existing?.session.getState().status === "expired") {
+    // The session timed out or was logged out, and the user has since logged
+    // back in, so start a new one
+    registry.delete(namespace);
+    existing.session.destroy();
+  } else if (existing) {
+    if (Object.keys(options).length > 0) existing.session.update(options);
+    existing.holders += 1;
+    return createHandle(namespace, existing);
+  }
+
+  const entry = { session: createSession(options), holders: 1 };
+  registry.set(namespace, entry);
+  return createHandle(namespace, entry);
 }
+
+sessionTimeout.getInstance = getInstance;
+sessionTimeout.destroyAll = destroyAll;
@@ -0,0 +1,103 @@
+// Patches fetch and XMLHttpRequest to report every response. The patch is
+// shared by all sessions on the page: it's installed for the first listener
+// and the originals are restored once the last one unsubscribes, so sessions
+// can be created and destroyed in any order.
+
+const listeners = new Set();
+const xhrUrls = new WeakMap();
+// Removes the current patch, or null while unpatched
+let unpatch = null;
+let nativeFetch = null;
+
+const notify = (url, status) => {
+  // Status 0 means the request never got a response
+  if (!url || !status) return;
+  listeners.forEach((listener) => listener(url, status));
+};
+
+const getRequestUrl = (input) => {
+  if (typeof input === "string") return input;
+  if (typeof URL !== "undefined" && input instanceof URL) return input.href;
+  return input?.url;
+};
+
+// Each patch keeps the originals it wraps in its own closure. Code that wraps
+// fetch or XMLHttpRequest after us may keep calling our wrappers after we've
+// unpatched, so they turn into pass-throughs instead of being removed.
+const patch = () => {
+  let active = true;
+  let restoreFetch = () => {};
+  let restoreXhr = () => {};
+
+  if (typeof fetch === "function") {
+    const originalFetch = globalThis.fetch;
+    const patchedFetch = function (input, init) {
+      const pending = originalFetch.call(this, input, init);
+      if (active) {
+        Promise.resolve(pending).then(
+          (response) =>
+            notify(response?.url || getRequestUrl(input), response?.status),
+          () => {},
+        );
+      }
+      return pending;
+    };
+    globalThis.fetch = patchedFetch;
+    nativeFetch = originalFetch;
+    restoreFetch = () => {
+      // Leave fetch alone if something else replaced it after us
+      if (globalThis.fetch === patchedFetch) globalThis.fetch = originalFetch;
+    };
+  }
+
+  if (typeof XMLHttpRequest !== "undefined") {
+    const proto = XMLHttpRequest.prototype;
+    const originalOpen = proto.open;
+    const originalSend = proto.send;
+    const patchedOpen = function (method, url, ...rest) {
+      if (active) xhrUrls.set(this, String(url));
+      return originalOpen.call(this, method, url, ...rest);
+    };
+    const patchedSend = function (...args) {
+      if (active) {
+        this.addEventListener("loadend", () =>
+          notify(this.responseURL || xhrUrls.get(this), this.status),
+        );
+      }
+      return originalSend.apply(this, args);
+    };
+    proto.open = patchedOpen;
+    proto.send = patchedSend;
+    restoreXhr = () => {
+      // Same for patches installed on the prototype after ours
+      if (proto.open === patchedOpen) proto.open = originalOpen;
+      if (proto.send === patchedSend) proto.send = originalSend;
+    };
+  }
+
+  return () => {
+    active = false;
+    restoreFetch();
+    restoreXhr();
+    nativeFetch = null;
+  };
+};
+
+// Calls listener(url, status) for every fetch and XMLHttpRequest response.
+// Returns a function that unsubscribes.
+export const interceptRequests = (listener) => {
+  if (listeners.size === 0) unpatch = patch();
+  listeners.add(listener);
+
+  return () => {
+    if (!listeners.delete(listener)) return;
+    if (listeners.size === 0) {
+      unpatch();
+      unpatch = null;
+    }
+  };
+};
+
+// The unpatched fetch, for requests that shouldn't be reported, like the
+// library's own keep-alive request
+export const getNativeFetch = () => nativeFetch ?? globalThis.fetch;
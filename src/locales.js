@@ -0,0 +1,161 @@
+// Built-in translations of the dialog text. `{time}` in `remaining` is the
+// mm:ss countdown and in `announcement` a relative time like "in 2 minutes".
+export const locales = {
+  en: {
+    title: "Session Expiring",
+    message: "Your session is about to expire.",
+    continueText: "Continue Session",
+    logoutText: "Log Out",
+    keepAliveErrorText: "Your session could not be extended. Please try again.",
+    remaining: "{time} remaining",
+    announcement: "Your session expires {time}.",
+  },
+  ar: {
+    title: "انتهاء الجلسة",
+    message: "جلستك على وشك الانتهاء.",
+    continueText: "متابعة الجلسة",
+    logoutText: "تسجيل الخروج",
+    keepAliveErrorText: "تعذر تمديد جلستك. يرجى المحاولة مرة أخرى.",
+    remaining: "متبقٍ {time}",
+    announcement: "تنتهي جلستك {time}.",
+  },
+  de: {
+    title: "Sitzung läuft ab",
+    message: "Ihre Sitzung läuft gleich ab.",
+    continueText: "Sitzung fortsetzen",
+    logoutText: "Abmelden",
+    keepAliveErrorText:
+      "Ihre Sitzung konnte nicht verlängert werden. Bitte versuchen Sie es erneut.",
+    remaining: "Noch {time}",
+    announcement: "Ihre Sitzung läuft {time} ab.",
+  },
+  es: {
+    title: "La sesión está por expirar",
+    message: "Tu sesión está a punto de expirar.",
+    continueText: "Continuar sesión",
+    logoutText: "Cerrar sesión",
+    keepAliveErrorText: "No se pudo extender tu sesión. Inténtalo de nuevo.",
+    remaining: "Quedan {time}",
+    announcement: "Tu sesión expira {time}.",
+  },
+  fr: {
+    title: "Session sur le point d'expirer",
+    message: "Votre session est sur le point d'expirer.",
+    continueText: "Prolonger la session",
+    logoutText: "Se déconnecter",
+    keepAliveErrorText:
+      "Votre session n'a pas pu être prolongée. Veuillez réessayer.",
+    remaining: "{time} restantes",
+    announcement: "Votre session expire {time}.",
+  },
+  he: {
+    title: "תוקף ההפעלה עומד לפוג",
+    message: "תוקף ההפעלה שלך עומד לפוג.",
+    continueText: "המשך הפעלה",
+    logoutText: "התנתקות",
+    keepAliveErrorText: "לא ניתן היה להאריך את ההפעלה. נסה שוב.",
+    remaining: "נותרו {time}",
+    announcement: "ההפעלה שלך תסתיים {time}.",
+  },
+  it: {
+    title: "Sessione in scadenza",
+    message: "La tua sessione sta per scadere.",
+    continueText: "Continua sessione",
+    logoutText: "Esci",
+    keepAliveErrorText: "Non è stato possibile estendere la sessione. Riprova.",
+    remaining: "{time} rimanenti",
+    announcement: "La tua sessione scade {time}.",
+  },
+  ja: {
+    title: "セッションの有効期限",
+    message: "セッションの有効期限が近づいています。",
+    continueText: "セッションを続ける",
+    logoutText: "ログアウト",
+    keepAliveErrorText:
+      "セッションを延長できませんでした。もう一度お試しください。",
+    remaining: "残り {time}",
+    announcement: "セッションは{time}に終了します。",
+  },
+  nl: {
+    title: "Sessie verloopt",
+    message: "Je sessie verloopt binnenkort.",
+    continueText: "Sessie voortzetten",
+    logoutText: "Uitloggen",
+    keepAliveErrorText:
+      "Je sessie kon niet worden verlengd. Probeer het opnieuw.",
+    remaining: "Nog {time}",
+    announcement: "Je sessie verloopt {time}.",
+  },
+  pt: {
+    title: "Sessão expirando",
+    message: "Sua sessão está prestes a expirar.",
+    continueText: "Continuar sessão",
+    logoutText: "Sair",
+    keepAliveErrorText:
+      "Não foi possível estender sua sessão. Tente novamente.",
+    remaining: "{time} restantes",
+    announcement: "Sua sessão expira {time}.",
+  },
+  zh: {
+    title: "会话即将过期",
+    message: "您的会话即将过期。",
+    continueText: "继续会话",
+    logoutText: "退出登录",
+    keepAliveErrorText: "无法延长您的会话，请重试。",
+    remaining: "剩余 {time}",
+    announcement: "您的会话将在{time}过期。",
+  },
+};
+
+// Languages written right to left
+const RTL_LANGUAGES = ["ar", "dv", "fa", "he", "ps", "ur", "yi"];
+
+// Returns a canonical locale tag, falling back to English for invalid tags
+export const normalizeLocale = (locale) => {
+  try {
+    return Intl.getCanonicalLocales(locale || "en")[0] ?? "en";
+  } catch {
+    return "en";
+  }
+};
+
+const getLanguage = (locale) => locale.split("-")[0].toLowerCase();
+
+export const isRtl = (locale) => RTL_LANGUAGES.includes(getLanguage(locale));
+
+// Merges the strings for a locale from least to most specific, so "fr-CA"
+// falls back to "fr" and anything missing falls back to English. `messages`
+// holds custom strings keyed by locale, in the same shape as `locales`.
+export const resolveMessages = (locale, messages = {}) => {
+  const tags = [...new Set(["en", getLanguage(locale), locale])];
+  return tags.reduce(
+    (strings, tag) => ({ ...strings, ...locales[tag], ...messages?.[tag] }),
+    {},
+  );
+};
+
+const fill = (template, time) => template.replace("{time}", time);
+
+// Formats the remaining time as a mm:ss countdown, e.g. "02:05 remaining"
+export const formatRemaining = (ms, locale = "en", template = "{time}") => {
+  const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  const number = new Intl.NumberFormat(locale, {
+    minimumIntegerDigits: 2,
+    useGrouping: false,
+  });
+  return fill(template, `${number.format(minutes)}:${number.format(seconds)}`);
+};
+
+// Formats the remaining time for screen readers with proper plurals, e.g.
+// "in 2 minutes". Whole minutes are used from one minute up.
+export const formatRelative = (ms, locale = "en", template = "{time}") => {
+  const totalSeconds = Math.ceil(Math.max(0, ms) / 1000);
+  const relative = new Intl.RelativeTimeFormat(locale, { numeric: "always" });
+  const time =
+    totalSeconds >= 60
+      ? relative.format(Math.round(totalSeconds / 60), "minute")
+      : relative.format(totalSeconds, "second");
+  return fill(template, time);
+};
@@ -0,0 +1,288 @@
+export const DEFAULT_WARN_AT = 15 * 60 * 1000; // 15 minutes
+export const DEFAULT_TIMEOUT_AT = 20 * 60 * 1000; // 20 minutes
+export const DEFAULT_NAMESPACE = "session-timeout";
+
+// Longest delay setTimeout supports before overflowing (about 24.8 days)
+export const MAX_TIMEOUT_DELAY = 2 ** 31 - 1;
+
+// Every option sessionTimeout() accepts. Keep in sync with index.d.ts
+export const OPTION_NAMES = [
+  "activityEvents",
+  "activityThrottle",
+  "announceInterval",
+  "checkInterval",
+  "continueText",
+  "escapeAction",
+  "expiryHeader",
+  "expiryMeta",
+  "faviconBadge",
+  "flashTitle",
+  "formatAnnouncement",
+  "formatCountdown",
+  "getExpiry",
+  "headless",
+  "initialFocus",
+  "interceptRequests",
+  "keepAliveErrorText",
+  "keepAliveHeaders",
+  "keepAliveInterval",
+  "keepAliveMethod",
+  "keepAliveRetries",
+  "keepAliveRetryDelay",
+  "keepAliveUrl",
+  "locale",
+  "logoutText",
+  "maxExtensions",
+  "message",
+  "messages",
+  "namespace",
+  "notification",
+  "onBeforeTimeout",
+  "onContinue",
+  "onLogout",
+  "onTimeout",
+  "render",
+  "saveForms",
+  "stages",
+  "storageKey",
+  "template",
+  "timeoutAt",
+  "title",
+  "trackActivity",
+  "transport",
+  "warnAt",
+];
+
+// Unknown options are ignored, so typos like `warnAT` would silently fall
+// back to the defaults. Warn about them instead, with a suggestion when the
+// key only differs in case.
+export const warnUnknownOptions = (options) => {
+  Object.keys(options).forEach((key) => {
+    if (OPTION_NAMES.includes(key)) return;
+    const suggestion = OPTION_NAMES.find(
+      (name) => name.toLowerCase() === key.toLowerCase(),
+    );
+    console.warn(
+      `session-timeout: Unknown option "${key}".` +
+        (suggestion ? ` Did you mean "${suggestion}"?` : ""),
+    );
+  });
+};
+
+// Options that set up resources when the session is created, so update()
+// can't change them
+export const FIXED_OPTIONS = [
+  "headless",
+  "namespace",
+  "storageKey",
+  "transport",
+];
+
+// Timing options that update() shares with the other tabs
+export const SHARED_OPTIONS = ["warnAt", "timeoutAt", "stages"];
+
+// How a warning stage is shown
+export const STAGE_DISPLAYS = ["modal", "banner", "toast", "none"];
+
+// Arrays and plain objects are compared by content, since frameworks hand
+// adapters a fresh copy of options like activityEvents on every render
+const isEqual = (a, b) => {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqual(item, b[i]));
+  }
+  const isPlain = (value) =>
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype;
+  if (isPlain(a) && isPlain(b)) {
+    const keys = Object.keys(a);
+    return (
+      keys.length === Object.keys(b).length &&
+      keys.every((key) => key in b && isEqual(a[key], b[key]))
+    );
+  }
+  return false;
+};
+
+// Compares the options a framework adapter was given before and now. Returns
+// the changes that update() can apply, and whether a fixed option changed so
+// the session has to be recreated instead.
+export const diffOptions = (previous, next) => {
+  const changed = {};
+  let recreate = false;
+  new Set([...Object.keys(previous), ...Object.keys(next)]).forEach((name) => {
+    if (isEqual(previous[name], next[name])) return;
+    if (FIXED_OPTIONS.includes(name)) {
+      recreate = true;
+    } else {
+      changed[name] = next[name];
+    }
+  });
+  return { changed, recreate };
+};
+
+// Null turns a callback off, e.g. onContinue: null for no keep-alive request
+const CALLBACK_OPTIONS = [
+  "formatAnnouncement",
+  "formatCountdown",
+  "getExpiry",
+  "onBeforeTimeout",
+  "onContinue",
+  "onLogout",
+  "onTimeout",
+  "render",
+];
+const DURATION_OPTIONS = [
+  "warnAt",
+  "timeoutAt",
+  "activityThrottle",
+  "keepAliveRetryDelay",
+];
+// Used with setInterval, so zero would spin
+const INTERVAL_OPTIONS = [
+  "announceInterval",
+  "checkInterval",
+  "keepAliveInterval",
+];
+// Turned off with null
+const NULLABLE_OPTIONS = ["keepAliveInterval"];
+
+const fail = (ErrorType, message) => {
+  throw new ErrorType(`session-timeout: ${message}`);
+};
+
+const formatValue = (value) =>
+  typeof value === "string" ? `"${value}"` : String(value);
+
+const checkDuration = (name, value) => {
+  if (typeof value !== "number" || !Number.isFinite(value)) {
+    fail(
+      TypeError,
+      `"${name}" must be a finite number of milliseconds, got ${formatValue(value)}`,
+    );
+  }
+  if (value > MAX_TIMEOUT_DELAY) {
+    fail(
+      RangeError,
+      `"${name}" must be at most ${MAX_TIMEOUT_DELAY} ms (about 24.8 days), got ${value}`,
+    );
+  }
+};
+
+// Throws on options that would otherwise misbehave silently, like NaN
+// durations turning into zero-delay timers or a warning scheduled after the
+// timeout. Negative durations are still allowed and treated as zero.
+export const validateOptions = (options) => {
+  CALLBACK_OPTIONS.forEach((name) => {
+    const value = options[name];
+    if (value != null && typeof value !== "function") {
+      fail(
+        TypeError,
+        `"${name}" must be a function or null, got ${formatValue(value)}`,
+      );
+    }
+  });
+
+  [...DURATION_OPTIONS, ...INTERVAL_OPTIONS].forEach((name) => {
+    const value = options[name];
+    if (value === undefined) return;
+    if (value === null && NULLABLE_OPTIONS.includes(name)) return;
+    checkDuration(name, value);
+    if (INTERVAL_OPTIONS.includes(name) && value <= 0) {
+      fail(RangeError, `"${name}" must be greater than 0, got ${value}`);
+    }
+  });
+
+  const { keepAliveRetries, maxExtensions } = options;
+  if (
+    keepAliveRetries !== undefined &&
+    (typeof keepAliveRetries !== "number" || !Number.isFinite(keepAliveRetries))
+  ) {
+    fail(
+      TypeError,
+      `"keepAliveRetries" must be a finite number, got ${formatValue(keepAliveRetries)}`,
+    );
+  }
+  if (
+    maxExtensions !== undefined &&
+    (typeof maxExtensions !== "number" || Number.isNaN(maxExtensions))
+  ) {
+    fail(
+      TypeError,
+      `"maxExtensions" must be a number, got ${formatValue(maxExtensions)}`,
+    );
+  }
+
+  // The namespace goes into ids, data attributes and the selectors for them
+  const { namespace } = options;
+  if (
+    namespace !== undefined &&
+    (typeof namespace !== "string" || !/^[a-z0-9_-]+$/i.test(namespace))
+  ) {
+    fail(
+      TypeError,
+      `"namespace" must be letters, digits, "-" and "_", got ${formatValue(namespace)}`,
+    );
+  }
+
+  const { saveForms } = options;
+  if (
+    saveForms !== undefined &&
+    !["boolean", "string"].includes(typeof saveForms)
+  ) {
+    fail(
+      TypeError,
+      `"saveForms" must be a boolean or a selector, got ${formatValue(saveForms)}`,
+    );
+  }
+
+  const { interceptRequests } = options;
+  if (
+    interceptRequests !== undefined &&
+    !["boolean", "string", "function"].includes(typeof interceptRequests) &&
+    !(interceptRequests instanceof RegExp)
+  ) {
+    fail(
+      TypeError,
+      `"interceptRequests" must be a boolean, a path prefix, a RegExp or a function, got ${formatValue(interceptRequests)}`,
+    );
+  }
+
+  // Without an explicit warnAt, the default is moved up to the timeout instead
+  const timeoutAt = options.timeoutAt ?? DEFAULT_TIMEOUT_AT;
+  if (options.warnAt !== undefined && options.warnAt > timeoutAt) {
+    fail(
+      RangeError,
+      `"warnAt" (${options.warnAt} ms) must not be later than "timeoutAt" (${timeoutAt} ms)`,
+    );
+  }
+
+  const { stages } = options;
+  if (stages == null) return;
+  if (!Array.isArray(stages)) {
+    fail(TypeError, `"stages" must be an array, got ${formatValue(stages)}`);
+  }
+  stages.forEach((stage, index) => {
+    const name = `stages[${index}]`;
+    if (stage === null || typeof stage !== "object") {
+      fail(TypeError, `"${name}" must be an object, got ${formatValue(stage)}`);
+    }
+    checkDuration(`${name}.at`, stage.at);
+    if (stage.at > timeoutAt) {
+      fail(
+        RangeError,
+        `"${name}.at" (${stage.at} ms) must not be later than "timeoutAt" (${timeoutAt} ms)`,
+      );
+    }
+    if (
+      stage.display !== undefined &&
+      !STAGE_DISPLAYS.includes(stage.display)
+    ) {
+      fail(
+        TypeError,
+        `"${name}.display" must be one of ${STAGE_DISPLAYS.map(formatValue).join(", ")}, got ${formatValue(stage.display)}`,
+      );
+    }
+  });
+};
@@ -0,0 +1,20 @@
+import type {
+  SessionState,
+  SessionTimeoutController,
+  SessionTimeoutOptions,
+} from "./index.js";
+
+export interface UseSessionTimeoutResult {
+  state: SessionState;
+  /** `null` until the component has mounted. */
+  session: SessionTimeoutController | null;
+}
+
+/**
+ * Runs a session while the component is mounted. Changed options are applied
+ * with `update()`; changing a fixed option like `namespace` recreates the
+ * session.
+ */
+export function useSessionTimeout(
+  options?: SessionTimeoutOptions,
+): UseSessionTimeoutResult;
@@ -0,0 +1,65 @@
+import { useEffect, useRef, useState } from "react";
+import sessionTimeout from "./index.js";
+import { DEFAULT_TIMEOUT_AT, FIXED_OPTIONS, diffOptions } from "./options.js";
+
+// Functions are called through `latest`, so callbacks written inline in a
+// component don't turn every render into an update()
+const withLatestFunctions = (options, latest) => {
+  const wrapped = { ...options };
+  Object.keys(options).forEach((name) => {
+    if (typeof options[name] === "function") {
+      wrapped[name] = (...args) => latest.current[name](...args);
+    }
+  });
+  return wrapped;
+};
+
+// Runs a session for as long as the component is mounted. The session is
+// created in an effect rather than during render, so StrictMode's extra
+// mount destroys the first session before creating the second one.
+export function useSessionTimeout(options = {}) {
+  const latest = useRef(options);
+  const applied = useRef(options);
+  const [session, setSession] = useState(null);
+  const [state, setState] = useState(() => ({
+    status: "idle",
+    remaining: options.timeoutAt ?? DEFAULT_TIMEOUT_AT,
+  }));
+
+  useEffect(() => {
+    latest.current = options;
+  });
+
+  // Changing a fixed option recreates the session
+  const fixed = FIXED_OPTIONS.map((name) => options[name]);
+  useEffect(() => {
+    const created = sessionTimeout(withLatestFunctions(latest.current, latest));
+    applied.current = latest.current;
+    const unsubscribe = created.subscribe(setState);
+    setState(created.getState());
+    setSession(created);
+
+    return () => {
+      unsubscribe();
+      created.destroy();
+    };
+  }, fixed);
+
+  useEffect(() => {
+    if (!session) return;
+    const previous = applied.current;
+    const { changed } = diffOptions(previous, options);
+    applied.current = options;
+
+    Object.keys(changed).forEach((name) => {
+      if (typeof changed[name] !== "function") return;
+      // Already called through `latest`
+      if (typeof previous[name] === "function") delete changed[name];
+    });
+    if (Object.keys(changed).length > 0) {
+      session.update(withLatestFunctions(changed, latest));
+    }
+  });
+
+  return { state, session };
+}
@@ -0,0 +1,10 @@
+// Running sessions by namespace, each with the number of callers holding it
+// ({ session, holders }). The map lives on a global symbol rather than in this
+// module, so every copy of the library on the page shares it, like separate
+// bundles or micro-frontends that each import their own.
+const REGISTRY_KEY = Symbol.for("@travishorn/session-timeout/registry");
+
+export const getRegistry = () => {
+  globalThis[REGISTRY_KEY] ??= new Map();
+  return globalThis[REGISTRY_KEY];
+};
@@ -0,0 +1,174 @@
+// A transport carries messages between tabs. Every transport has the same shape:
+//
+// - post(message): sends a message to the other tabs
+// - subscribe(listener): calls listener(message) for messages from other tabs
+//   and returns a function that unsubscribes
+// - read(): optional, returns the last message posted by any tab that changed
+//   the session's state (see PERSISTED_TYPES)
+// - close(): releases any resources held by the transport
+//
+// Messages are plain objects with at least a `type`, the `tab` that sent them,
+// a `time` and a unique `id`.
+
+// Messages that change the session's state. The last one is kept so tabs can
+// catch up on what they missed while asleep. Other messages, like warnings and
+// leases, are only passed on, so they never hide a missed reset.
+export const PERSISTED_TYPES = [
+  "reset",
+  "continue",
+  "resume",
+  "logout",
+  "timeout",
+];
+
+const parseMessage = (value) => {
+  if (!value) return null;
+  // Older versions stored the bare timestamp of the last reset
+  if (/^\d+$/.test(value)) {
+    const resetAt = parseInt(value, 10);
+    return { type: "reset", id: `legacy-${value}`, resetAt, time: resetAt };
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return null;
+  }
+};
+
+// The session's state is kept under the key, and other messages under a key
+// of their own. Both are watched for messages from other tabs.
+export const createLocalStorageTransport = ({
+  key = "session-timeout-last-reset",
+} = {}) => {
+  const eventKey = `${key}-event`;
+  const listeners = new Map();
+
+  return {
+    post(message) {
+      if (typeof localStorage !== "undefined") {
+        localStorage.setItem(
+          PERSISTED_TYPES.includes(message.type) ? key : eventKey,
+          JSON.stringify(message),
+        );
+      }
+    },
+    subscribe(listener) {
+      if (
+        typeof window === "undefined" ||
+        typeof addEventListener === "undefined"
+      ) {
+        return () => {};
+      }
+      const handleStorageChange = (event) => {
+        if ((event.key === key || event.key === eventKey) && event.newValue) {
+          const message = parseMessage(event.newValue);
+          if (message) listener(message);
+        }
+      };
+      listeners.set(listener, handleStorageChange);
+      window.addEventListener("storage", handleStorageChange);
+
+      return () => {
+        listeners.delete(listener);
+        if (typeof removeEventListener !== "undefined") {
+          window.removeEventListener("storage", handleStorageChange);
+        }
+      };
+    },
+    read() {
+      if (typeof localStorage !== "undefined") {
+        return parseMessage(localStorage.getItem(key));
+      }
+      return null;
+    },
+    close() {
+      listeners.forEach((handleStorageChange) => {
+        if (typeof removeEventListener !== "undefined") {
+          window.removeEventListener("storage", handleStorageChange);
+        }
+      });
+      listeners.clear();
+    },
+  };
+};
+
+export const createBroadcastChannelTransport = ({
+  name = "session-timeout",
+} = {}) => {
+  const channel = new BroadcastChannel(name);
+
+  return {
+    post(message) {
+      channel.postMessage(message);
+    },
+    subscribe(listener) {
+      const handleMessage = (event) => {
+        if (event.data) listener(event.data);
+      };
+      channel.addEventListener("message", handleMessage);
+      return () => channel.removeEventListener("message", handleMessage);
+    },
+    close() {
+      channel.close();
+    },
+  };
+};
+
+// Keeps everything in the current tab, for single-tab mode
+export const createNoopTransport = () => ({
+  post() {},
+  subscribe() {
+    return () => {};
+  },
+  read() {
+    return null;
+  },
+  close() {},
+});
+
+// Local Storage for persistence, plus BroadcastChannel where available since
+// it's faster. The same message may arrive through both, so listeners need to
+// ignore messages they've already seen.
+export const createAutoTransport = ({
+  key = "session-timeout-last-reset",
+  name = "session-timeout",
+} = {}) => {
+  const transports = [createLocalStorageTransport({ key })];
+  if (typeof BroadcastChannel !== "undefined") {
+    transports.push(createBroadcastChannelTransport({ name }));
+  }
+
+  return {
+    post(message) {
+      transports.forEach((transport) => transport.post(message));
+    },
+    subscribe(listener) {
+      const unsubscribes = transports.map((transport) =>
+        transport.subscribe(listener),
+      );
+      return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+    },
+    read() {
+      return transports[0].read();
+    },
+    close() {
+      transports.forEach((transport) => transport.close());
+    },
+  };
+};
+
+export const createTransport = (transport, { key, name } = {}) => {
+  if (transport && typeof transport === "object") return transport;
+  switch (transport) {
+    case "local-storage":
+      return createLocalStorageTransport({ key });
+    case "broadcast-channel":
+      return typeof BroadcastChannel !== "undefined"
+        ? createBroadcastChannelTransport({ name })
+        : createNoopTransport();
+    case "none":
+      return createNoopTransport();
+    default:
+      return createAutoTransport({ key, name });
+  }
+};
@@ -0,0 +1,21 @@
+import type { MaybeRefOrGetter, Ref } from "vue";
+import type {
+  SessionState,
+  SessionTimeoutController,
+  SessionTimeoutOptions,
+} from "./index.js";
+
+export interface UseSessionTimeoutResult {
+  state: Readonly<Ref<SessionState>>;
+  /** `null` until the component has mounted. */
+  session: Readonly<Ref<SessionTimeoutController | null>>;
+}
+
+/**
+ * Runs a session while the calling component or effect scope is alive.
+ * Changed options are applied with `update()`; changing a fixed option like
+ * `namespace` recreates the session.
+ */
+export function useSessionTimeout(
+  options?: MaybeRefOrGetter<SessionTimeoutOptions>,
+): UseSessionTimeoutResult;
@@ -0,0 +1,74 @@
+import {
+  getCurrentInstance,
+  onMounted,
+  onScopeDispose,
+  shallowReadonly,
+  shallowRef,
+  toValue,
+  watch,
+} from "vue";
+import sessionTimeout from "./index.js";
+import { DEFAULT_TIMEOUT_AT, diffOptions } from "./options.js";
+
+// Runs a session for as long as the calling component or effect scope is
+// alive. Options can be a plain object, a ref or a getter; when they change,
+// the session is updated, or recreated if a fixed option like namespace
+// changed.
+export function useSessionTimeout(options = {}) {
+  const initial = toValue(options);
+  const state = shallowRef({
+    status: "idle",
+    remaining: initial.timeoutAt ?? DEFAULT_TIMEOUT_AT,
+  });
+  const session = shallowRef(null);
+  let applied = initial;
+  let unsubscribe = null;
+
+  const destroy = () => {
+    if (!session.value) return;
+    unsubscribe();
+    session.value.destroy();
+    unsubscribe = null;
+    session.value = null;
+  };
+
+  const create = () => {
+    applied = { ...toValue(options) };
+    const created = sessionTimeout(applied);
+    unsubscribe = created.subscribe((next) => {
+      state.value = next;
+    });
+    state.value = created.getState();
+    session.value = created;
+  };
+
+  watch(
+    () => ({ ...toValue(options) }),
+    (next) => {
+      if (!session.value) return;
+      const { changed, recreate } = diffOptions(applied, next);
+      if (recreate) {
+        destroy();
+        create();
+        return;
+      }
+      applied = next;
+      if (Object.keys(changed).length > 0) session.value.update(changed);
+    },
+    { deep: true },
+  );
+
+  // Components only start the session once mounted, so it never runs during
+  // server-side rendering
+  if (getCurrentInstance()) {
+    onMounted(create);
+  } else {
+    create();
+  }
+  onScopeDispose(destroy);
+
+  return {
+    state: shallowReadonly(state),
+    session: shallowReadonly(session),
+  };
+}
@@ -0,0 +1,120 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  BADGE_ICON,
+  createTitleFlasher,
+  requestPermissionOnGesture,
+  showFaviconBadge,
+} from "../src/alerts.js";
+
+describe("alerts", () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    document.head.replaceChildren();
+    document.title = "";
+  });
+
+  describe("createTitleFlasher", () => {
+    it("should alternate the title and restore it", () => {
+      document.title = "Inbox";
+      const flasher = createTitleFlasher();
+
+      flasher.flash("02:00 remaining");
+      expect(document.title).toBe("02:00 remaining");
+      flasher.flash("01:59 remaining");
+      expect(document.title).toBe("Inbox");
+      flasher.flash("01:58 remaining");
+      expect(document.title).toBe("01:58 remaining");
+
+      flasher.restore();
+      expect(document.title).toBe("Inbox");
+    });
+
+    it("should keep a title the page set while flashing", () => {
+      document.title = "Inbox";
+      const flasher = createTitleFlasher();
+
+      flasher.flash("02:00 remaining");
+      document.title = "Inbox (1)";
+      flasher.flash("01:59 remaining");
+      flasher.flash("01:58 remaining");
+      expect(document.title).toBe("Inbox (1)");
+
+      flasher.flash("01:57 remaining");
+      document.title = "Inbox (2)";
+      flasher.restore();
+      expect(document.title).toBe("Inbox (2)");
+    });
+  });
+
+  describe("showFaviconBadge", () => {
+    it("should swap the page's icons and put them back", () => {
+      const icon = document.createElement("link");
+      icon.rel = "icon";
+      icon.setAttribute("href", "/favicon.ico");
+      const shortcut = document.createElement("link");
+      shortcut.rel = "shortcut icon";
+      document.head.append(icon, shortcut);
+
+      const restore = showFaviconBadge();
+      expect(icon.getAttribute("href")).toBe(BADGE_ICON);
+      expect(shortcut.getAttribute("href")).toBe(BADGE_ICON);
+
+      restore();
+      expect(icon.getAttribute("href")).toBe("/favicon.ico");
+      expect(shortcut.hasAttribute("href")).toBe(false);
+    });
+
+    it("should add an icon when the page has none", () => {
+      const restore = showFaviconBadge("/badge.svg");
+      const link = document.head.querySelector('link[rel="icon"]');
+      expect(link.getAttribute("href")).toBe("/badge.svg");
+
+      restore();
+      expect(document.head.querySelector("link")).toBeNull();
+    });
+  });
+
+  describe("requestPermissionOnGesture", () => {
+    it("should ask for permission on the first click", () => {
+      const requestPermission = vi.fn(() => Promise.resolve("granted"));
+      vi.stubGlobal("Notification", {
+        permission: "default",
+        requestPermission,
+      });
+
+      requestPermissionOnGesture();
+      expect(requestPermission).not.toHaveBeenCalled();
+
+      document.body.click();
+      document.body.click();
+      expect(requestPermission).toHaveBeenCalledTimes(1);
+    });
+
+    it("should not ask once permission was decided", () => {
+      const requestPermission = vi.fn();
+      vi.stubGlobal("Notification", {
+        permission: "denied",
+        requestPermission,
+      });
+
+      requestPermissionOnGesture();
+      document.body.click();
+
+      expect(requestPermission).not.toHaveBeenCalled();
+    });
+
+    it("should stop waiting when cancelled", () => {
+      const requestPermission = vi.fn(() => Promise.resolve("granted"));
+      vi.stubGlobal("Notification", {
+        permission: "default",
+        requestPermission,
+      });
+
+      const stop = requestPermissionOnGesture();
+      stop();
+      document.dispatchEvent(new KeyboardEvent("keydown"));
+
+      expect(requestPermission).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { SessionTimeoutElement } from "../src/element.js";
+
+describe("<session-timeout>", () => {
+  const create = (attributes) => {
+    const element = document.createElement("session-timeout");
+    Object.entries(attributes).forEach(([name, value]) => {
+      element.setAttribute(name, value);
+    });
+    return element;
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    document.body.replaceChildren();
+    document.querySelectorAll("dialog").forEach((dialog) => dialog.remove());
+    vi.useRealTimers();
+  });
+
+  it("should register the element", () => {
+    expect(customElements.get("session-timeout")).toBe(SessionTimeoutElement);
+    expect(document.createElement("session-timeout")).toBeInstanceOf(
+      SessionTimeoutElement,
+    );
+  });
+
+  it("should run a session configured by attributes while connected", () => {
+    const element = create({
+      "warn-at": "1000",
+      "timeout-at": "3000",
+      transport: "none",
+    });
+    expect(element.session).toBeNull();
+
+    document.body.append(element);
+    vi.advanceTimersByTime(1000);
+
+    expect(element.session.getState()).toEqual({
+      status: "warning",
+      remaining: 2000,
+    });
+    expect(document.querySelector("dialog")).toBeTruthy();
+
+    const { session } = element;
+    const destroy = vi.spyOn(session, "destroy");
+    element.remove();
+
+    expect(destroy).toHaveBeenCalled();
+    expect(element.session).toBeNull();
+  });
+
+  it("should parse boolean and list attributes", () => {
+    const element = create({
+      headless: "",
+      "track-activity": "false",
+      "activity-events": "keydown  click",
+      transport: "none",
+      "warn-at": "1000",
+    });
+    element.options = { onTimeout: vi.fn() };
+    document.body.append(element);
+
+    vi.advanceTimersByTime(1000);
+
+    expect(element.session.getState().status).toBe("warning");
+    expect(document.querySelector("dialog")).toBeNull();
+  });
+
+  it("should dispatch session events on the element", () => {
+    const element = create({
+      "warn-at": "1000",
+      "timeout-at": "3000",
+      transport: "none",
+    });
+    const onTimeout = vi.fn();
+    element.options = { onTimeout };
+    const warn = vi.fn();
+    const timeout = vi.fn();
+    element.addEventListener("warn", warn);
+    element.addEventListener("timeout", timeout);
+    document.body.append(element);
+
+    vi.advanceTimersByTime(3000);
+
+    expect(warn).toHaveBeenCalledTimes(1);
+    expect(warn.mock.calls[0][0].detail).toMatchObject({ type: "warn" });
+    expect(timeout).toHaveBeenCalledTimes(1);
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  it("should update the session when attributes change", () => {
+    const element = create({ "warn-at": "1000", transport: "none" });
+    document.body.append(element);
+    const { session } = element;
+    const update = vi.spyOn(session, "update");
+
+    element.setAttribute("warn-at", "2000");
+
+    expect(element.session).toBe(session);
+    expect(update).toHaveBeenCalledWith({ warnAt: 2000 });
+  });
+
+  it("should recreate the session when a fixed attribute changes", () => {
+    const element = create({ namespace: "first", transport: "none" });
+    document.body.append(element);
+    const first = element.session;
+
+    element.setAttribute("namespace", "second");
+
+    expect(element.session).not.toBe(first);
+  });
+
+  it("should let attributes override the options property", () => {
+    const element = create({ "warn-at": "1000", transport: "none" });
+    element.options = { warnAt: 5000, headless: true };
+    document.body.append(element);
+
+    vi.advanceTimersByTime(1000);
+
+    expect(element.session.getState().status).toBe("warning");
+  });
+});
@@ -0,0 +1,171 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { clearSavedForms, restoreForms, saveForms } from "../src/forms.js";
+
+const PAGE_KEY = "session-timeout-forms:/";
+
+const createForm = (attributes = {}) => {
+  const form = document.createElement("form");
+  Object.entries(attributes).forEach(([name, value]) => {
+    form.setAttribute(name, value);
+  });
+  form.innerHTML = `
+    <input name="subject">
+    <textarea name="body"></textarea>
+    <input type="checkbox" name="tags" value="urgent">
+    <input type="checkbox" name="tags" value="billing">
+    <input type="radio" name="priority" value="low">
+    <input type="radio" name="priority" value="high">
+    <select name="team" multiple>
+      <option value="sales">Sales</option>
+      <option value="support">Support</option>
+    </select>
+    <input type="password" name="password">
+    <input type="hidden" name="csrf">
+  `;
+  document.body.append(form);
+  return form;
+};
+
+const fill = (form) => {
+  form.elements.subject.value = "Refund";
+  form.elements.body.value = "Please refund my order.";
+  form.querySelector('[value="billing"]').checked = true;
+  form.querySelector('[value="high"]').checked = true;
+  form.querySelector('[value="support"]').selected = true;
+  form.elements.password.value = "hunter2";
+  form.elements.csrf.value = "token";
+};
+
+describe("forms", () => {
+  afterEach(() => {
+    sessionStorage.clear();
+    document.body.replaceChildren();
+  });
+
+  it("should save and restore marked forms", () => {
+    fill(createForm({ id: "ticket", "data-session-timeout-save": "" }));
+    createForm({ id: "other" });
+
+    expect(saveForms()).toBe(1);
+    document.body.replaceChildren();
+
+    const form = createForm({ id: "ticket" });
+    const onInput = vi.fn();
+    form.addEventListener("input", onInput);
+
+    expect(restoreForms()).toBe(1);
+    expect(form.elements.subject.value).toBe("Refund");
+    expect(form.elements.body.value).toBe("Please refund my order.");
+    expect(form.querySelector('[value="urgent"]').checked).toBe(false);
+    expect(form.querySelector('[value="billing"]').checked).toBe(true);
+    expect(form.querySelector('[value="high"]').checked).toBe(true);
+    expect(form.querySelector('[value="support"]').selected).toBe(true);
+    expect(onInput).toHaveBeenCalled();
+  });
+
+  it("should never save passwords or hidden fields", () => {
+    fill(createForm({ id: "ticket" }));
+
+    saveForms("#ticket");
+
+    const saved = JSON.parse(sessionStorage.getItem(PAGE_KEY));
+    expect(saved.forms.ticket).not.toHaveProperty("password");
+    expect(saved.forms.ticket).not.toHaveProperty("csrf");
+  });
+
+  it("should match forms by name or position without an id", () => {
+    fill(createForm({ name: "feedback" }));
+    fill(createForm());
+
+    expect(saveForms("form")).toBe(2);
+    document.body.replaceChildren();
+    const named = createForm({ name: "feedback" });
+    const unnamed = createForm();
+
+    expect(restoreForms()).toBe(2);
+    expect(named.elements.subject.value).toBe("Refund");
+    expect(unnamed.elements.subject.value).toBe("Refund");
+  });
+
+  it("should key saved forms by URL", () => {
+    fill(createForm({ id: "ticket" }));
+    saveForms("#ticket");
+
+    history.replaceState(null, "", "/other?page=2");
+    const form = createForm({ id: "ticket" });
+    expect(restoreForms()).toBe(0);
+    expect(form.elements.subject.value).toBe("");
+
+    history.replaceState(null, "", "/");
+  });
+
+  it("should keep saved forms until they're cleared", () => {
+    fill(createForm({ id: "ticket" }));
+    saveForms("#ticket");
+    document.body.replaceChildren();
+
+    const form = createForm({ id: "ticket" });
+    form.addEventListener("submit", (event) => event.preventDefault());
+    restoreForms();
+
+    // The server may still reject the submission
+    form.requestSubmit();
+    expect(sessionStorage.getItem(PAGE_KEY)).not.toBeNull();
+
+    clearSavedForms();
+    expect(sessionStorage.getItem(PAGE_KEY)).toBeNull();
+  });
+
+  it("should discard saved forms older than maxAge", () => {
+    vi.useFakeTimers();
+    fill(createForm({ id: "ticket" }));
+    saveForms("#ticket");
+    document.body.replaceChildren();
+    const form = createForm({ id: "ticket" });
+
+    vi.advanceTimersByTime(60 * 60 * 1000);
+    expect(restoreForms({ maxAge: null })).toBe(1);
+    expect(restoreForms({ maxAge: 60 * 60 * 1000 })).toBe(1);
+
+    vi.advanceTimersByTime(24 * 60 * 60 * 1000);
+    form.elements.subject.value = "";
+    expect(restoreForms()).toBe(0);
+    expect(form.elements.subject.value).toBe("");
+    expect(sessionStorage.getItem(PAGE_KEY)).toBeNull();
+
+    vi.useRealTimers();
+  });
+
+  it("should clear the saved forms of another page", () => {
+    history.replaceState(null, "", "/tickets/new?team=support");
+    fill(createForm({ id: "ticket" }));
+    saveForms("#ticket");
+
+    history.replaceState(null, "", "/tickets/42");
+    clearSavedForms({ url: "/tickets/new?team=support" });
+
+    expect(sessionStorage.length).toBe(0);
+    history.replaceState(null, "", "/");
+  });
+
+  it("should use the namespace and storage given", () => {
+    const storage = {
+      store: {},
+      getItem: (key) => storage.store[key] ?? null,
+      setItem: (key, value) => {
+        storage.store[key] = value;
+      },
+      removeItem: (key) => {
+        delete storage.store[key];
+      },
+    };
+    const form = createForm({ id: "ticket" });
+    fill(form);
+
+    saveForms(form, { namespace: "admin", storage });
+    expect(Object.keys(storage.store)).toEqual(["admin-forms:/"]);
+
+    clearSavedForms({ namespace: "admin", storage });
+    expect(storage.store).toEqual({});
+  });
+});
@@ -0,0 +1,155 @@
+// @vitest-environment node
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import sessionTimeout from "../src/index.js";
+
+describe("headless mode", () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it("should run without a DOM", () => {
+    expect(typeof document).toBe("undefined");
+
+    const session = sessionTimeout({ headless: true, warnAt: 100 });
+    vi.advanceTimersByTime(150);
+    session.show();
+    session.close();
+
+    expect(session.getState().status).toBe("warning");
+
+    session.destroy();
+  });
+
+  it("should move through idle, warning and expired", () => {
+    const onTimeout = vi.fn();
+    const session = sessionTimeout({
+      headless: true,
+      warnAt: 1000,
+      timeoutAt: 3000,
+      onTimeout,
+    });
+
+    expect(session.getState()).toEqual({ status: "idle", remaining: 3000 });
+
+    vi.advanceTimersByTime(1000);
+    expect(session.getState()).toEqual({ status: "warning", remaining: 2000 });
+
+    vi.advanceTimersByTime(2000);
+    expect(session.getState()).toEqual({ status: "expired", remaining: 0 });
+    expect(onTimeout).toHaveBeenCalledWith({ remote: false });
+
+    session.destroy();
+  });
+
+  it("should notify subscribers of state changes and countdown ticks", () => {
+    const session = sessionTimeout({
+      headless: true,
+      warnAt: 1000,
+      timeoutAt: 3000,
+    });
+    const listener = vi.fn();
+    const unsubscribe = session.subscribe(listener);
+
+    vi.advanceTimersByTime(1000);
+    expect(listener).toHaveBeenLastCalledWith({
+      status: "warning",
+      remaining: 2000,
+    });
+
+    vi.advanceTimersByTime(1000);
+    expect(listener).toHaveBeenLastCalledWith({
+      status: "warning",
+      remaining: 1000,
+    });
+
+    unsubscribe();
+    vi.advanceTimersByTime(1000);
+    expect(listener).toHaveBeenCalledTimes(2);
+
+    session.destroy();
+  });
+
+  it("should keep the same state object until something changes", () => {
+    const session = sessionTimeout({ headless: true, warnAt: 1000 });
+
+    expect(session.getState()).toBe(session.getState());
+
+    session.destroy();
+  });
+
+  it("should continue the session through continue()", () => {
+    const onContinue = vi.fn();
+    const session = sessionTimeout({
+      headless: true,
+      warnAt: 1000,
+      timeoutAt: 3000,
+      onContinue,
+    });
+
+    vi.advanceTimersByTime(1000);
+    session.continue();
+
+    expect(onContinue).toHaveBeenCalledTimes(1);
+    expect(session.getState()).toEqual({ status: "idle", remaining: 3000 });
+
+    session.destroy();
+  });
+
+  it("should wait for a pending onContinue before going back to idle", async () => {
+    const session = sessionTimeout({
+      headless: true,
+      warnAt: 1000,
+      timeoutAt: 3000,
+      onContinue: () => Promise.resolve(),
+    });
+
+    vi.advanceTimersByTime(1000);
+    session.continue();
+    expect(session.getState().status).toBe("warning");
+
+    await vi.advanceTimersByTimeAsync(0);
+    expect(session.getState().status).toBe("idle");
+
+    session.destroy();
+  });
+
+  it("should end the session through logout()", () => {
+    const onLogout = vi.fn();
+    const session = sessionTimeout({ headless: true, warnAt: 1000, onLogout });
+
+    vi.advanceTimersByTime(1000);
+    session.logout();
+
+    expect(onLogout).toHaveBeenCalledWith({ remote: false });
+    expect(session.getState().status).toBe("expired");
+
+    session.destroy();
+  });
+
+  it("should stay expired after logout()", () => {
+    const onTimeout = vi.fn();
+    const session = sessionTimeout({
+      headless: true,
+      warnAt: 1000,
+      timeoutAt: 3000,
+      onLogout: vi.fn(),
+      onTimeout,
+    });
+    const statuses = [];
+    session.subscribe((state) => statuses.push(state.status));
+
+    vi.advanceTimersByTime(500);
+    session.logout();
+    vi.advanceTimersByTime(5000);
+
+    expect(statuses).toEqual(["expired"]);
+    expect(session.getState().status).toBe("expired");
+    expect(onTimeout).not.toHaveBeenCalled();
+
+    session.destroy();
+  });
+});
@@ -1,5 +1,10 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
-import sessionTimeout from "../src/index.js";
+import sessionTimeout, {
+  createLocalStorageTransport,
+  destroyAll,
+  getInstance,
+  restoreForms,
+} from "../src/index.js";
 
 // Mock timers for testing
 vi.useFakeTimers();
@@ -57,6 +62,8 @@ describe("sessionTimeout", () => {
 
   afterEach(() => {
     vi.restoreAllMocks();
+    // Sessions a test didn't destroy would be returned to the next test
+    destroyAll();
     // Clean up any remaining dialogs
     const existingDialogs = document.querySelectorAll("dialog");
     existingDialogs.forEach((dialog) => dialog.remove());
@@ -276,9 +283,9 @@ describe("sessionTimeout", () => {
       vi.advanceTimersByTime(150);
       expect(document.querySelector("dialog")).toBeFalsy();
 
-      // Advance time to timeoutAt - should still call onTimeout
+      // Advance past timeoutAt - the session is over, so it doesn't time out
       vi.advanceTimersByTime(100);
-      expect(onTimeout).toHaveBeenCalledTimes(1);
+      expect(onTimeout).not.toHaveBeenCalled();
 
       session.destroy();
     });
@@ -452,6 +459,152 @@ describe("sessionTimeout", () => {
     });
   });
 
+  describe("keep-alive handling", () => {
+    const showAndContinue = () => {
+      vi.advanceTimersByTime(150);
+      const dialog = document.querySelector("dialog");
+      dialog.querySelector('[data-action="continue"]').click();
+      return dialog;
+    };
+
+    it("should use the configured keep-alive url, method and headers", () => {
+      const mockTimestamp = 1234567890;
+      const session = sessionTimeout({
+        warnAt: 100,
+        keepAliveUrl: "/api/session?source=dialog",
+        keepAliveMethod: "POST",
+        keepAliveHeaders: () => ({ "X-CSRF-Token": "abc123" }),
+      });
+
+      vi.advanceTimersByTime(150);
+      vi.spyOn(Date, "now").mockReturnValue(mockTimestamp * 1000);
+      document.querySelector('[data-action="continue"]').click();
+
+      expect(fetch).toHaveBeenCalledWith(
+        `/api/session?source=dialog&time=${mockTimestamp}`,
+        { method: "POST", headers: { "X-CSRF-Token": "abc123" } },
+      );
+
+      session.destroy();
+    });
+
+    it("should keep the dialog open and busy while onContinue is pending", async () => {
+      let resolveContinue;
+      const onContinue = vi.fn(
+        () => new Promise((resolve) => (resolveContinue = resolve)),
+      );
+
+      const session = sessionTimeout({ warnAt: 100, onContinue });
+      const dialog = showAndContinue();
+
+      expect(dialog.parentNode).toBeTruthy();
+      expect(dialog.getAttribute("aria-busy")).toBe("true");
+      expect(dialog.querySelector('[data-action="continue"]').disabled).toBe(
+        true,
+      );
+
+      // Clicking again while pending doesn't call onContinue twice
+      dialog.querySelector('[data-action="continue"]').click();
+      expect(onContinue).toHaveBeenCalledTimes(1);
+
+      resolveContinue();
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(dialog.parentNode).toBeNull();
+
+      session.destroy();
+    });
+
+    it("should run onTimeout when the server says the session is gone", async () => {
+      const onTimeout = vi.fn();
+      fetch.mockResolvedValueOnce({ ok: false, status: 401 });
+
+      const session = sessionTimeout({ warnAt: 100, onTimeout });
+      showAndContinue();
+
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      session.destroy();
+    });
+
+    it("should keep the dialog open with an error when the server fails", async () => {
+      fetch.mockResolvedValueOnce({ ok: false, status: 500 });
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        keepAliveErrorText: "Could not extend",
+      });
+      const dialog = showAndContinue();
+
+      await vi.advanceTimersByTimeAsync(0);
+
+      const error = dialog.querySelector(".error");
+      expect(dialog.parentNode).toBeTruthy();
+      expect(error.hidden).toBe(false);
+      expect(error.textContent).toBe("Could not extend");
+      expect(error.getAttribute("role")).toBe("alert");
+      expect(dialog.getAttribute("aria-busy")).toBe("false");
+      expect(dialog.querySelector('[data-action="continue"]').disabled).toBe(
+        false,
+      );
+
+      session.destroy();
+    });
+
+    it("should retry with backoff on network errors", async () => {
+      fetch
+        .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+        .mockRejectedValueOnce(new TypeError("Failed to fetch"))
+        .mockResolvedValueOnce({ ok: true, status: 200 });
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        keepAliveRetryDelay: 1000,
+      });
+      const dialog = showAndContinue();
+
+      await vi.advanceTimersByTimeAsync(999);
+      expect(fetch).toHaveBeenCalledTimes(1);
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      // The second retry waits twice as long
+      await vi.advanceTimersByTimeAsync(1999);
+      expect(fetch).toHaveBeenCalledTimes(2);
+
+      await vi.advanceTimersByTimeAsync(1);
+      expect(fetch).toHaveBeenCalledTimes(3);
+      expect(dialog.parentNode).toBeNull();
+
+      session.destroy();
+    });
+
+    it("should show an error once retries are exhausted", async () => {
+      const onContinue = vi.fn(() => Promise.reject(new Error("Offline")));
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 60000,
+        onContinue,
+        keepAliveRetries: 1,
+        keepAliveRetryDelay: 100,
+      });
+      const dialog = showAndContinue();
+
+      await vi.advanceTimersByTimeAsync(1000);
+
+      expect(onContinue).toHaveBeenCalledTimes(2);
+      expect(dialog.parentNode).toBeTruthy();
+      expect(dialog.querySelector(".error").hidden).toBe(false);
+
+      session.destroy();
+    });
+  });
+
   describe("reset functionality", () => {
     it("should reset timers when reset() is called", () => {
       const onTimeout = vi.fn();
@@ -731,126 +884,3619 @@ describe("sessionTimeout", () => {
     });
   });
 
-  describe("dialog content and configuration", () => {
-    it("should have proper dialog content", () => {
+  describe("wall-clock deadlines", () => {
+    const getWindowListener = (type) =>
+      addEventListenerMock.mock.calls.find((call) => call[0] === type)[1];
+
+    it("should time out immediately when a sleeping tab becomes visible", () => {
+      const onTimeout = vi.fn();
+
       const session = sessionTimeout({
-        warnAt: 100,
-        message: "Test message",
-        continueText: "Keep Going",
-        logoutText: "Sign Out",
+        warnAt: 10000,
+        timeoutAt: 20000,
+        onTimeout,
       });
 
-      vi.advanceTimersByTime(150);
+      // The laptop sleeps: the clock moves on but no timers fire
+      vi.setSystemTime(Date.now() + 30000);
+      expect(onTimeout).not.toHaveBeenCalled();
 
-      const dialog = document.querySelector("dialog");
-      expect(dialog.innerHTML).toContain("Test message");
-      expect(dialog.innerHTML).toContain("Keep Going");
-      expect(dialog.innerHTML).toContain("Sign Out");
+      document.dispatchEvent(new Event("visibilitychange"));
+      expect(onTimeout).toHaveBeenCalledTimes(1);
 
       session.destroy();
     });
 
-    it("should use default content when no options provided", () => {
-      const session = sessionTimeout({ warnAt: 100 });
+    it("should show the dialog on focus when only the warning is overdue", () => {
+      const onTimeout = vi.fn();
 
-      vi.advanceTimersByTime(150);
+      const session = sessionTimeout({
+        warnAt: 10000,
+        timeoutAt: 20000,
+        onTimeout,
+      });
 
-      const dialog = document.querySelector("dialog");
-      expect(dialog.innerHTML).toContain("Your session is about to expire");
-      expect(dialog.innerHTML).toContain("Continue Session");
-      expect(dialog.innerHTML).toContain("Log Out");
+      vi.setSystemTime(Date.now() + 15000);
+      getWindowListener("focus")({ type: "focus" });
+
+      expect(document.querySelector("dialog")).toBeTruthy();
+      expect(onTimeout).not.toHaveBeenCalled();
 
       session.destroy();
     });
 
-    it("should have session-timeout-dialog class", () => {
-      const session = sessionTimeout({ warnAt: 100 });
+    it("should catch missed deadlines with the periodic heartbeat", () => {
+      const onTimeout = vi.fn();
 
-      vi.advanceTimersByTime(150);
+      const session = sessionTimeout({
+        warnAt: 30000,
+        timeoutAt: 60000,
+        checkInterval: 1000,
+        onTimeout,
+      });
 
-      const dialog = document.querySelector("dialog");
-      expect(dialog.classList.contains("session-timeout-dialog")).toBe(true);
+      // Timers in a background tab are throttled and fall behind the clock
+      vi.setSystemTime(Date.now() + 60000);
+      vi.advanceTimersByTime(1000);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should pick up resets missed while asleep on pageshow", () => {
+      const session = sessionTimeout({ warnAt: 10000, timeoutAt: 20000 });
+
+      vi.setSystemTime(Date.now() + 15000);
+
+      // Another tab reset the session, but no storage event was delivered
+      localStorageMock.store["session-timeout-last-reset"] =
+        Date.now().toString();
+      getWindowListener("pageshow")({ type: "pageshow" });
+
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      vi.advanceTimersByTime(10000);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should pick up a missed reset after later warnings", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 10000,
+        timeoutAt: 20000,
+        onTimeout,
+      });
+      const otherTab = createLocalStorageTransport();
+
+      // Another tab resets and later warns, but no storage events arrive
+      vi.setSystemTime(Date.now() + 10000);
+      otherTab.post({
+        type: "reset",
+        id: "other-1",
+        tab: "other-tab",
+        time: Date.now(),
+        resetAt: Date.now(),
+      });
+      vi.setSystemTime(Date.now() + 10000);
+      otherTab.post({
+        type: "warn",
+        id: "other-2",
+        tab: "other-tab",
+        time: Date.now(),
+      });
+
+      vi.setSystemTime(Date.now() + 2000);
+      getWindowListener("pageshow")({ type: "pageshow" });
+
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(document.querySelector("dialog")).toBeTruthy();
+      expect(session.getState().remaining).toBe(8000);
+
+      session.destroy();
+    });
+
+    it("should only call onTimeout once", () => {
+      const onTimeout = vi.fn();
+
+      const session = sessionTimeout({
+        timeoutAt: 100,
+        checkInterval: 50,
+        onTimeout,
+      });
+
+      vi.advanceTimersByTime(1000);
+      document.dispatchEvent(new Event("visibilitychange"));
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should remove wake listeners on destroy", () => {
+      const session = sessionTimeout();
 
       session.destroy();
+
+      expect(removeEventListenerMock).toHaveBeenCalledWith(
+        "focus",
+        expect.any(Function),
+      );
+      expect(removeEventListenerMock).toHaveBeenCalledWith(
+        "pageshow",
+        expect.any(Function),
+      );
     });
   });
 
-  describe("user interactions", () => {
-    it("should handle real button clicks", () => {
-      const onContinue = vi.fn();
-      const onLogout = vi.fn();
+  describe("server-driven expiry", () => {
+    afterEach(() => {
+      document
+        .querySelectorAll('meta[name="session-expires-at"]')
+        .forEach((meta) => meta.remove());
+    });
+
+    it("should derive warn and timeout from setExpiresAt()", () => {
+      const onTimeout = vi.fn();
 
       const session = sessionTimeout({
-        warnAt: 100,
-        onContinue,
-        onLogout,
+        warnAt: 15000,
+        timeoutAt: 20000,
+        onTimeout,
       });
 
-      vi.advanceTimersByTime(150);
+      // The server says the session expires in 60 seconds
+      session.setExpiresAt(new Date(Date.now() + 60000));
 
-      const dialog = document.querySelector("dialog");
-      const continueBtn = dialog.querySelector('[data-action="continue"]');
-      const logoutBtn = dialog.querySelector('[data-action="logout"]');
+      // Warning appears 5 seconds before the expiry
+      vi.advanceTimersByTime(54000);
+      expect(document.querySelector("dialog")).toBeFalsy();
 
-      expect(continueBtn).toBeTruthy();
-      expect(logoutBtn).toBeTruthy();
+      vi.advanceTimersByTime(1000);
+      expect(document.querySelector("dialog")).toBeTruthy();
 
-      // Test continue button
-      continueBtn.click();
-      expect(onContinue).toHaveBeenCalledTimes(1);
-      expect(dialog.parentNode).toBeNull(); // Dialog should be removed
+      vi.advanceTimersByTime(5000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
 
-      // Reset and test logout button
-      const session2 = sessionTimeout({
-        warnAt: 100,
-        onContinue,
-        onLogout,
+      session.destroy();
+    });
+
+    it("should show the warning immediately when the expiry is shortened", () => {
+      const session = sessionTimeout({ warnAt: 15000, timeoutAt: 20000 });
+
+      session.setExpiresAt(Date.now() + 3000);
+
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should share the expiry with other tabs", () => {
+      const session = sessionTimeout({ warnAt: 15000, timeoutAt: 20000 });
+      const expiresAt = Date.now() + 60000;
+
+      session.setExpiresAt(expiresAt);
+
+      const message = JSON.parse(
+        localStorageMock.store["session-timeout-last-reset"],
+      );
+      expect(message).toMatchObject({
+        type: "reset",
+        resetAt: expiresAt - 20000,
       });
-      vi.advanceTimersByTime(150);
 
-      const dialog2 = document.querySelector("dialog");
-      const logoutBtn2 = dialog2.querySelector('[data-action="logout"]');
-      logoutBtn2.click();
+      session.destroy();
+    });
 
-      expect(onLogout).toHaveBeenCalledTimes(1);
-      expect(dialog2.parentNode).toBeNull();
+    it("should reject invalid expiry dates", () => {
+      const session = sessionTimeout();
+
+      expect(() => session.setExpiresAt("not a date")).toThrow(TypeError);
 
       session.destroy();
-      session2.destroy();
     });
 
-    it("should work without callback functions", () => {
-      const session = sessionTimeout({ warnAt: 100 });
+    it("should use the expiry returned by getExpiry()", async () => {
+      const onTimeout = vi.fn();
+      const expiresAt = Date.now() + 60000;
 
-      vi.advanceTimersByTime(150);
+      const session = sessionTimeout({
+        warnAt: 15000,
+        timeoutAt: 20000,
+        getExpiry: async () => new Date(expiresAt).toISOString(),
+        onTimeout,
+      });
 
-      const dialog = document.querySelector("dialog");
-      const continueBtn = dialog.querySelector('[data-action="continue"]');
+      await vi.advanceTimersByTimeAsync(20000);
+      expect(onTimeout).not.toHaveBeenCalled();
 
-      // Should not throw when no callback is provided
-      expect(() => continueBtn.click()).not.toThrow();
-      expect(dialog.parentNode).toBeNull(); // Dialog should still be removed
+      await vi.advanceTimersByTimeAsync(40000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
 
       session.destroy();
     });
-  });
 
-  describe("cleanup and lifecycle", () => {
-    it("should properly clean up when destroyed", () => {
-      const session = sessionTimeout({ warnAt: 100 });
+    it("should keep client-side deadlines if getExpiry() fails", async () => {
+      const onTimeout = vi.fn();
 
-      vi.advanceTimersByTime(150);
+      const session = sessionTimeout({
+        timeoutAt: 20000,
+        getExpiry: () => Promise.reject(new Error("Network error")),
+        onTimeout,
+      });
+
+      await vi.advanceTimersByTimeAsync(20000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should read the expiry from a meta tag", () => {
+      const meta = document.createElement("meta");
+      meta.setAttribute("name", "session-expires-at");
+      meta.setAttribute("content", (Date.now() + 3000).toString());
+      document.head.appendChild(meta);
+
+      const session = sessionTimeout({
+        warnAt: 15000,
+        timeoutAt: 20000,
+        expiryMeta: "session-expires-at",
+      });
 
       expect(document.querySelector("dialog")).toBeTruthy();
 
       session.destroy();
+    });
 
-      expect(document.querySelector("dialog")).toBeFalsy();
+    it("should read the expiry from the keep-alive response header", async () => {
+      const onTimeout = vi.fn();
+      const expiresAt = Date.now() + 60000;
+      fetch.mockResolvedValueOnce({
+        ok: true,
+        status: 200,
+        headers: new Headers({ "X-Session-Expires": expiresAt.toString() }),
+      });
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 200,
+        expiryHeader: "X-Session-Expires",
+        onTimeout,
+      });
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="continue"]').click();
+
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      await vi.advanceTimersByTimeAsync(60000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+  });
+
+  describe("activity tracking", () => {
+    it("should not track activity by default", () => {
+      const session = sessionTimeout({ warnAt: 100, timeoutAt: 200 });
+
+      vi.advanceTimersByTime(50);
+      localStorageMock.setItem.mockClear();
+      document.dispatchEvent(new Event("keydown"));
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should reset timers on user activity when enabled", () => {
+      const onTimeout = vi.fn();
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 200,
+        onTimeout,
+        trackActivity: true,
+        activityThrottle: 0,
+      });
+
+      // Activity just before warnAt pushes the warning back
+      vi.advanceTimersByTime(90);
+      document.dispatchEvent(new Event("mousemove"));
+
+      vi.advanceTimersByTime(90);
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      vi.advanceTimersByTime(20);
+      expect(document.querySelector("dialog")).toBeTruthy();
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should throttle activity resets", () => {
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 2000,
+        trackActivity: true,
+        activityThrottle: 500,
+      });
+
+      localStorageMock.setItem.mockClear();
+
+      // Within the throttle window of the initial reset
+      vi.advanceTimersByTime(100);
+      document.dispatchEvent(new Event("mousemove"));
+      document.dispatchEvent(new Event("keydown"));
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+
+      // Past the throttle window
+      vi.advanceTimersByTime(500);
+      document.dispatchEvent(new Event("mousemove"));
+      document.dispatchEvent(new Event("mousemove"));
+      expect(localStorageMock.setItem).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should only listen to the configured events", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 200,
+        trackActivity: true,
+        activityEvents: ["keydown"],
+        activityThrottle: 0,
+      });
+
+      vi.advanceTimersByTime(90);
+      document.dispatchEvent(new Event("mousemove"));
+
+      vi.advanceTimersByTime(20);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should ignore activity while the warning dialog is open", () => {
+      const onTimeout = vi.fn();
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 200,
+        onTimeout,
+        trackActivity: true,
+        activityThrottle: 0,
+      });
+
+      vi.advanceTimersByTime(150);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      document.dispatchEvent(new Event("keydown"));
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      vi.advanceTimersByTime(50);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should stop tracking activity on destroy", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        trackActivity: true,
+        activityThrottle: 0,
+      });
+
+      session.destroy();
+      localStorageMock.setItem.mockClear();
+      document.dispatchEvent(new Event("keydown"));
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("cross-tab logout and timeout", () => {
+    const getStorageListener = () =>
+      addEventListenerMock.mock.calls.find((call) => call[0] === "storage")[1];
+
+    let messageId = 0;
+    const sendSignal = (signal) => {
+      messageId += 1;
+      getStorageListener()({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify({ id: `other-${messageId}`, ...signal }),
+      });
+    };
+
+    it("should broadcast logout to other tabs", () => {
+      const session = sessionTimeout({ warnAt: 100, onLogout: vi.fn() });
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="logout"]').click();
+
+      const signal = JSON.parse(
+        localStorageMock.store["session-timeout-last-reset"],
+      );
+      expect(signal).toMatchObject({ type: "logout", time: Date.now() });
+
+      session.destroy();
+    });
+
+    it("should run onLogout when another tab logs out", () => {
+      const onLogout = vi.fn();
+      const session = sessionTimeout({ warnAt: 100, onLogout });
+
+      vi.advanceTimersByTime(150);
+      sendSignal({ type: "logout", tab: "other-tab", time: Date.now() });
+
+      expect(onLogout).toHaveBeenCalledWith({ remote: true });
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      session.destroy();
+    });
+
+    it("should run onLogout with remote false in the originating tab", () => {
+      const onLogout = vi.fn();
+      const session = sessionTimeout({ warnAt: 100, onLogout });
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="logout"]').click();
+
+      expect(onLogout).toHaveBeenCalledWith({ remote: false });
+
+      session.destroy();
+    });
+
+    it("should stop the session's clock on logout", () => {
+      const onLogout = vi.fn();
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 2000,
+        trackActivity: true,
+        activityThrottle: 0,
+        onLogout,
+        onTimeout,
+      });
+
+      session.logout();
+      document.dispatchEvent(new Event("keydown"));
+      vi.advanceTimersByTime(5000);
+
+      expect(document.querySelector("dialog")).toBeFalsy();
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(session.getState().status).toBe("expired");
+      expect(
+        JSON.parse(localStorageMock.store["session-timeout-last-reset"]).type,
+      ).toBe("logout");
+
+      session.destroy();
+    });
+
+    it("should stop the session's clock when another tab logs out", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 2000,
+        onLogout: vi.fn(),
+        onTimeout,
+      });
+
+      sendSignal({ type: "logout", tab: "other-tab", time: Date.now() });
+      vi.advanceTimersByTime(5000);
+
+      expect(document.querySelector("dialog")).toBeFalsy();
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(session.getState().status).toBe("expired");
+
+      session.destroy();
+    });
+
+    it("should reload instead of logging out again by default", () => {
+      const mockLocation = { href: "", reload: vi.fn() };
+      Object.defineProperty(window, "location", {
+        value: mockLocation,
+        writable: true,
+      });
+
+      const session = sessionTimeout();
+      sendSignal({ type: "logout", tab: "other-tab", time: Date.now() });
+
+      expect(mockLocation.reload).toHaveBeenCalledTimes(1);
+      expect(mockLocation.href).toBe("");
+
+      session.destroy();
+    });
+
+    it("should run onTimeout once when another tab times out", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ onTimeout });
+      const signal = {
+        id: "other-timeout",
+        type: "timeout",
+        tab: "other-tab",
+        time: Date.now(),
+      };
+
+      sendSignal(signal);
+      sendSignal(signal);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+      expect(onTimeout).toHaveBeenCalledWith({ remote: true });
+
+      session.destroy();
+    });
+
+    it("should broadcast its own timeout to other tabs", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 100, onTimeout });
+
+      vi.advanceTimersByTime(150);
+
+      const signal = JSON.parse(
+        localStorageMock.store["session-timeout-last-reset"],
+      );
+      expect(signal.type).toBe("timeout");
+      expect(onTimeout).toHaveBeenCalledWith({ remote: false });
+
+      session.destroy();
+    });
+
+    it("should treat a timeout as remote if another tab already timed out", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 100, onTimeout });
+
+      // Another tab timed out first, but its storage event hasn't arrived yet
+      vi.advanceTimersByTime(99);
+      const otherSignal = JSON.stringify({
+        type: "timeout",
+        tab: "other-tab",
+        time: Date.now(),
+      });
+      localStorageMock.store["session-timeout-last-reset"] = otherSignal;
+
+      vi.advanceTimersByTime(1);
+
+      expect(onTimeout).toHaveBeenCalledWith({ remote: true });
+      expect(localStorageMock.store["session-timeout-last-reset"]).toBe(
+        otherSignal,
+      );
+
+      session.destroy();
+    });
+
+    it("should ignore stale timeouts from before the last reset", () => {
+      const onTimeout = vi.fn();
+      localStorageMock.store["session-timeout-last-reset"] = JSON.stringify({
+        type: "timeout",
+        tab: "other-tab",
+        time: Date.now() - 1000,
+      });
+
+      const session = sessionTimeout({ timeoutAt: 100, onTimeout });
+      vi.advanceTimersByTime(100);
+
+      expect(onTimeout).toHaveBeenCalledWith({ remote: false });
+
+      session.destroy();
+    });
+
+    it("should also use BroadcastChannel where available", () => {
+      const channels = [];
+      class MockBroadcastChannel {
+        constructor(name) {
+          this.name = name;
+          this.postMessage = vi.fn();
+          this.addEventListener = vi.fn();
+          this.removeEventListener = vi.fn();
+          this.close = vi.fn();
+          channels.push(this);
+        }
+      }
+      vi.stubGlobal("BroadcastChannel", MockBroadcastChannel);
+
+      const onLogout = vi.fn();
+      const session = sessionTimeout({ warnAt: 100, onLogout });
+      const [channel] = channels;
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="logout"]').click();
+      expect(channel.postMessage).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "logout" }),
+      );
+
+      // Signals received over the channel are handled too
+      const messageListener = channel.addEventListener.mock.calls[0][1];
+      messageListener({
+        data: { type: "logout", tab: "other-tab", time: Date.now() },
+      });
+      expect(onLogout).toHaveBeenLastCalledWith({ remote: true });
+
+      session.destroy();
+      expect(channel.close).toHaveBeenCalled();
+
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe("sync transports", () => {
+    const createMockTransport = () => {
+      const listeners = [];
+      return {
+        post: vi.fn(),
+        subscribe: vi.fn((listener) => {
+          listeners.push(listener);
+          return vi.fn();
+        }),
+        close: vi.fn(),
+        receive: (message) =>
+          listeners.forEach((listener) => listener(message)),
+      };
+    };
+
+    it("should post typed messages to a custom transport", () => {
+      const transport = createMockTransport();
+      const session = sessionTimeout({ warnAt: 100, transport });
+
+      expect(transport.post).toHaveBeenCalledWith({
+        type: "reset",
+        id: expect.any(String),
+        tab: expect.any(String),
+        time: Date.now(),
+        resetAt: Date.now(),
+      });
+
+      vi.advanceTimersByTime(150);
+      expect(transport.post).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: "warn" }),
+      );
+
+      document.querySelector('[data-action="continue"]').click();
+      expect(transport.post).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: "continue", resetAt: Date.now() }),
+      );
+
+      session.destroy();
+      expect(transport.close).toHaveBeenCalled();
+    });
+
+    it("should handle messages from a custom transport", () => {
+      const transport = createMockTransport();
+      const onLogout = vi.fn();
+      const session = sessionTimeout({ warnAt: 100, transport, onLogout });
+
+      vi.advanceTimersByTime(150);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      transport.receive({
+        type: "continue",
+        id: "other-1",
+        tab: "other-tab",
+        time: Date.now(),
+        resetAt: Date.now(),
+      });
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      transport.receive({
+        type: "logout",
+        id: "other-2",
+        tab: "other-tab",
+        time: Date.now(),
+      });
+      expect(onLogout).toHaveBeenCalledWith({ remote: true });
+
+      session.destroy();
+    });
+
+    it("should not touch localStorage in single-tab mode", () => {
+      const session = sessionTimeout({ transport: "none" });
+
+      session.reset();
+
+      expect(localStorageMock.setItem).not.toHaveBeenCalled();
+      expect(addEventListenerMock).not.toHaveBeenCalledWith(
+        "storage",
+        expect.any(Function),
+      );
+
+      session.destroy();
+    });
+  });
+
+  describe("dialog content and configuration", () => {
+    it("should have proper dialog content", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        message: "Test message",
+        continueText: "Keep Going",
+        logoutText: "Sign Out",
+      });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.innerHTML).toContain("Test message");
+      expect(dialog.innerHTML).toContain("Keep Going");
+      expect(dialog.innerHTML).toContain("Sign Out");
+
+      session.destroy();
+    });
+
+    it("should use default content when no options provided", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.innerHTML).toContain("Your session is about to expire");
+      expect(dialog.innerHTML).toContain("Continue Session");
+      expect(dialog.innerHTML).toContain("Log Out");
+
+      session.destroy();
+    });
+
+    it("should show a live countdown of the remaining time", () => {
+      const session = sessionTimeout({ warnAt: 100, timeoutAt: 125000 });
+
+      vi.advanceTimersByTime(100);
+
+      const countdown = document.querySelector("dialog .countdown");
+      expect(countdown.textContent).toBe("02:05 remaining");
+
+      vi.advanceTimersByTime(1000);
+      expect(countdown.textContent).toBe("02:04 remaining");
+
+      session.destroy();
+    });
+
+    it("should compute the countdown from the shared last reset time", () => {
+      const session = sessionTimeout({ warnAt: 100, timeoutAt: 60000 });
+
+      vi.advanceTimersByTime(100);
+
+      // Another tab reports that the session was reset 10 seconds earlier
+      const storageListener = addEventListenerMock.mock.calls.find(
+        (call) => call[0] === "storage",
+      )[1];
+      storageListener({
+        key: "session-timeout-last-reset",
+        newValue: (Date.now() - 10100).toString(),
+      });
+      vi.advanceTimersByTime(1000);
+
+      const countdown = document.querySelector("dialog .countdown");
+      expect(countdown.textContent).toBe("00:49 remaining");
+
+      session.destroy();
+    });
+
+    it("should use a custom countdown format", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 5100,
+        formatCountdown: (ms) => `${Math.ceil(ms / 1000)} seconds left`,
+      });
+
+      vi.advanceTimersByTime(100);
+
+      const countdown = document.querySelector("dialog .countdown");
+      expect(countdown.textContent).toBe("5 seconds left");
+
+      session.destroy();
+    });
+
+    it("should only announce the countdown at the configured interval", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 30100,
+        announceInterval: 10000,
+      });
+
+      vi.advanceTimersByTime(100);
+
+      const announcement = document.querySelector(
+        "dialog .countdown-announcement",
+      );
+      expect(announcement.getAttribute("aria-live")).toBe("polite");
+      expect(announcement.textContent).toBe("");
+
+      vi.advanceTimersByTime(5000);
+      expect(announcement.textContent).toBe("");
+
+      vi.advanceTimersByTime(5000);
+      expect(announcement.textContent).toBe(
+        "Your session expires in 20 seconds.",
+      );
+
+      vi.advanceTimersByTime(5000);
+      expect(announcement.textContent).toBe(
+        "Your session expires in 20 seconds.",
+      );
+
+      vi.advanceTimersByTime(5000);
+      expect(announcement.textContent).toBe(
+        "Your session expires in 10 seconds.",
+      );
+
+      session.destroy();
+    });
+
+    it("should display HTML in text options literally", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        message: '<img src="x" onerror="alert(1)">Expiring',
+        continueText: "<b>Stay</b>",
+        logoutText: "<script>alert(1)</script>",
+      });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.querySelector("img")).toBeNull();
+      expect(dialog.querySelector("b")).toBeNull();
+      expect(dialog.querySelector("script")).toBeNull();
+      expect(dialog.querySelector("p").textContent).toBe(
+        '<img src="x" onerror="alert(1)">Expiring',
+      );
+      expect(dialog.querySelector('[data-action="continue"]').textContent).toBe(
+        "<b>Stay</b>",
+      );
+      expect(dialog.querySelector('[data-action="logout"]').textContent).toBe(
+        "<script>alert(1)</script>",
+      );
+
+      session.destroy();
+    });
+
+    it("should accept a DOM node as rich content", () => {
+      const message = document.createElement("strong");
+      message.textContent = "Session expiring";
+
+      const session = sessionTimeout({ warnAt: 100, message });
+
+      vi.advanceTimersByTime(150);
+
+      expect(document.querySelector("dialog p strong")).toBe(message);
+
+      session.destroy();
+    });
+
+    it("should accept a template element as rich content", () => {
+      const template = document.createElement("template");
+      template.innerHTML = "<em>Session</em> expiring";
+
+      const session = sessionTimeout({ warnAt: 100, message: template });
+
+      vi.advanceTimersByTime(150);
+
+      const paragraph = document.querySelector("dialog p");
+      expect(paragraph.querySelector("em").textContent).toBe("Session");
+      expect(paragraph.textContent).toBe("Session expiring");
+      // The template itself is left untouched so it can be used again
+      expect(template.content.childNodes).toHaveLength(2);
+
+      session.destroy();
+    });
+
+    it("should accept a render function as rich content", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        continueText: () => {
+          const icon = document.createElement("span");
+          icon.className = "icon";
+          return icon;
+        },
+        logoutText: () => "<i>Sign out</i>",
+      });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(
+        dialog.querySelector('[data-action="continue"] span.icon'),
+      ).toBeTruthy();
+      expect(dialog.querySelector('[data-action="logout"]').textContent).toBe(
+        "<i>Sign out</i>",
+      );
+
+      session.destroy();
+    });
+
+    it("should have session-timeout-dialog class", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.classList.contains("session-timeout-dialog")).toBe(true);
+
+      session.destroy();
+    });
+  });
+
+  describe("custom rendering", () => {
+    afterEach(() => {
+      document
+        .querySelectorAll("template")
+        .forEach((template) => template.remove());
+    });
+
+    it("should render the element returned by render()", () => {
+      const render = vi.fn((context) => {
+        const content = document.createElement("div");
+        content.className = "custom";
+        const title = document.createElement("h2");
+        title.textContent = `${context.formatCountdown(context.remaining)}`;
+        content.appendChild(title);
+        return content;
+      });
+
+      const session = sessionTimeout({ warnAt: 100, timeoutAt: 60100, render });
+
+      vi.advanceTimersByTime(100);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.classList.contains("session-timeout-dialog")).toBe(true);
+      expect(dialog.querySelector(".custom h2").textContent).toBe(
+        "01:00 remaining",
+      );
+      expect(render).toHaveBeenCalledWith(
+        expect.objectContaining({
+          remaining: 60000,
+          continue: expect.any(Function),
+          logout: expect.any(Function),
+          close: expect.any(Function),
+        }),
+      );
+
+      session.destroy();
+      expect(document.querySelector(".custom")).toBeNull();
+    });
+
+    it("should let rendered content call continue, logout and close", () => {
+      const onContinue = vi.fn();
+      const onLogout = vi.fn();
+      let context;
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        onContinue,
+        onLogout,
+        render: (renderContext) => {
+          context = renderContext;
+          return document.createElement("div");
+        },
+      });
+
+      vi.advanceTimersByTime(150);
+      context.continue();
+      expect(onContinue).toHaveBeenCalledTimes(1);
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      vi.advanceTimersByTime(150);
+      context.close();
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      session.show();
+      context.logout();
+      expect(onLogout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should wire buttons with a data-action in custom content", () => {
+      const onContinue = vi.fn();
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        onContinue,
+        render: () => {
+          const content = document.createElement("div");
+          content.innerHTML = `
+            <button data-action="continue">Stay</button>
+            <button data-action="close">Remind me later</button>
+            <button data-action="logout">Leave</button>
+          `;
+          return content;
+        },
+      });
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="close"]').click();
+      expect(document.querySelector("dialog")).toBeFalsy();
+      expect(onContinue).not.toHaveBeenCalled();
+
+      session.show();
+      document.querySelector('[data-action="continue"]').click();
+      expect(onContinue).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should render a template selected by a selector", () => {
+      const template = document.createElement("template");
+      template.id = "session-warning";
+      template.innerHTML = `
+        <h2>Still there?</h2>
+        <p class="countdown"></p>
+        <button data-action="continue">Yes</button>
+      `;
+      document.body.appendChild(template);
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 30100,
+        template: "#session-warning",
+      });
+
+      vi.advanceTimersByTime(100);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.querySelector("h2").textContent).toBe("Still there?");
+      expect(dialog.querySelector(".countdown").textContent).toBe(
+        "00:30 remaining",
+      );
+
+      dialog.querySelector('[data-action="continue"]').click();
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      session.destroy();
+    });
+  });
+
+  describe("headless mode", () => {
+    it("should never create a dialog", () => {
+      const appendChild = vi.spyOn(document.body, "appendChild");
+      const session = sessionTimeout({ headless: true, warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+      session.show();
+
+      expect(document.querySelector("dialog")).toBeFalsy();
+      expect(appendChild).not.toHaveBeenCalled();
+      expect(session.getState().status).toBe("warning");
+
+      session.destroy();
+    });
+  });
+
+  describe("accessibility", () => {
+    it("should label the dialog with a title and describe it with the message", () => {
+      const session = sessionTimeout({ warnAt: 100, title: "Still there?" });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      const title = dialog.querySelector("h2");
+      expect(title.textContent).toBe("Still there?");
+      expect(dialog.getAttribute("aria-labelledby")).toBe(title.id);
+      expect(
+        document.getElementById(dialog.getAttribute("aria-describedby"))
+          .textContent,
+      ).toBe("Your session is about to expire.");
+
+      session.destroy();
+    });
+
+    it("should fall back to aria-label when custom content has no title", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        title: "Still there?",
+        render: () => "Custom",
+      });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.hasAttribute("aria-labelledby")).toBe(false);
+      expect(dialog.getAttribute("aria-label")).toBe("Still there?");
+
+      session.destroy();
+    });
+
+    it("should focus the continue button by default", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+
+      expect(document.activeElement).toBe(
+        document.querySelector('[data-action="continue"]'),
+      );
+
+      session.destroy();
+    });
+
+    it("should focus a configurable element", () => {
+      const session = sessionTimeout({ warnAt: 100, initialFocus: "logout" });
+
+      vi.advanceTimersByTime(150);
+
+      expect(document.activeElement).toBe(
+        document.querySelector('[data-action="logout"]'),
+      );
+
+      session.destroy();
+    });
+
+    it("should restore focus to the previously focused element", () => {
+      const input = document.createElement("input");
+      document.body.appendChild(input);
+      input.focus();
+      const session = sessionTimeout({ warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+      expect(document.activeElement).not.toBe(input);
+
+      session.close();
+      expect(document.activeElement).toBe(input);
+
+      session.destroy();
+      input.remove();
+    });
+
+    it("should continue the session when Escape is pressed", async () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({ warnAt: 100, onContinue });
+
+      vi.advanceTimersByTime(150);
+      const cancel = new Event("cancel", { cancelable: true });
+      document.querySelector("dialog").dispatchEvent(cancel);
+
+      expect(cancel.defaultPrevented).toBe(true);
+      expect(onContinue).toHaveBeenCalledTimes(1);
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      session.destroy();
+    });
+
+    it("should run the configured Escape action", () => {
+      const onContinue = vi.fn();
+      const onLogout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 100,
+        escapeAction: "logout",
+        onContinue,
+        onLogout,
+      });
+
+      vi.advanceTimersByTime(150);
+      document
+        .querySelector("dialog")
+        .dispatchEvent(new Event("cancel", { cancelable: true }));
+
+      expect(onLogout).toHaveBeenCalledTimes(1);
+      expect(onContinue).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should ignore Escape when the action is none", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 100,
+        escapeAction: "none",
+        onContinue,
+      });
+
+      vi.advanceTimersByTime(150);
+      const cancel = new Event("cancel", { cancelable: true });
+      document.querySelector("dialog").dispatchEvent(cancel);
+
+      expect(cancel.defaultPrevented).toBe(true);
+      expect(onContinue).not.toHaveBeenCalled();
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should allow at least ten extensions", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 1000,
+        maxExtensions: 2,
+        onContinue,
+      });
+
+      for (let i = 0; i < 10; i++) {
+        vi.advanceTimersByTime(150);
+        document.querySelector('[data-action="continue"]').click();
+      }
+      expect(onContinue).toHaveBeenCalledTimes(10);
+
+      vi.advanceTimersByTime(150);
+      const continueBtn = document.querySelector('[data-action="continue"]');
+      expect(continueBtn.hidden).toBe(true);
+      expect(document.activeElement).toBe(
+        document.querySelector('[data-action="logout"]'),
+      );
+
+      session.continue();
+      expect(onContinue).toHaveBeenCalledTimes(10);
+
+      session.destroy();
+    });
+
+    it("should share the extension count across tabs", () => {
+      const session = sessionTimeout({ warnAt: 100, maxExtensions: 10 });
+
+      const storageListener = addEventListenerMock.mock.calls.find(
+        (call) => call[0] === "storage",
+      )[1];
+      storageListener({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify({
+          type: "continue",
+          id: "other-1",
+          tab: "other",
+          time: Date.now(),
+          resetAt: Date.now() - 1,
+          extensions: 10,
+        }),
+      });
+      vi.advanceTimersByTime(150);
+
+      expect(document.querySelector('[data-action="continue"]').hidden).toBe(
+        true,
+      );
+
+      session.destroy();
+    });
+  });
+
+  describe("localization", () => {
+    it("should use the page language by default", () => {
+      document.documentElement.lang = "fr";
+      const session = sessionTimeout({ warnAt: 100, timeoutAt: 125100 });
+
+      vi.advanceTimersByTime(100);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.getAttribute("lang")).toBe("fr");
+      expect(dialog.querySelector("h2").textContent).toBe(
+        "Session sur le point d'expirer",
+      );
+      expect(dialog.querySelector(".countdown").textContent).toBe(
+        "02:05 restantes",
+      );
+
+      session.destroy();
+      document.documentElement.lang = "";
+    });
+
+    it("should fall back from regional locales to the language and English", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        locale: "de-AT",
+        messages: { "de-AT": { title: "Sitzung endet" } },
+      });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.querySelector("h2").textContent).toBe("Sitzung endet");
+      expect(dialog.innerHTML).toContain("Sitzung fortsetzen");
+
+      session.destroy();
+    });
+
+    it("should let text options override the locale", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        locale: "es",
+        message: "Custom message",
+      });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.innerHTML).toContain("Custom message");
+      expect(dialog.innerHTML).toContain("Continuar sesión");
+
+      session.destroy();
+    });
+
+    it("should set the direction for right-to-left languages", () => {
+      const session = sessionTimeout({ warnAt: 100, locale: "ar" });
+
+      vi.advanceTimersByTime(150);
+
+      expect(document.querySelector("dialog").getAttribute("dir")).toBe("rtl");
+
+      session.destroy();
+    });
+
+    it("should pluralize announcements for the locale", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 120100,
+        announceInterval: 60000,
+        locale: "fr",
+      });
+
+      vi.advanceTimersByTime(100 + 60000);
+
+      expect(
+        document.querySelector(".countdown-announcement").textContent,
+      ).toBe("Votre session expire dans 1 minute.");
+
+      session.destroy();
+    });
+
+    it("should switch the language of an open dialog", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 125100,
+        onContinue,
+      });
+
+      vi.advanceTimersByTime(100);
+      session.setLocale("he");
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.getAttribute("dir")).toBe("rtl");
+      expect(dialog.querySelector("h2").textContent).toBe(
+        "תוקף ההפעלה עומד לפוג",
+      );
+      expect(dialog.querySelectorAll("h2")).toHaveLength(1);
+      expect(document.activeElement).toBe(
+        dialog.querySelector('[data-action="continue"]'),
+      );
+
+      expect(dialog.querySelector(".countdown").textContent).toContain("02:05");
+
+      dialog.querySelector('[data-action="continue"]').click();
+      expect(onContinue).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+  });
+
+  describe("user interactions", () => {
+    it("should handle real button clicks", () => {
+      const onContinue = vi.fn();
+      const onLogout = vi.fn();
+
+      const session = sessionTimeout({
+        warnAt: 100,
+        onContinue,
+        onLogout,
+      });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      const continueBtn = dialog.querySelector('[data-action="continue"]');
+      const logoutBtn = dialog.querySelector('[data-action="logout"]');
+
+      expect(continueBtn).toBeTruthy();
+      expect(logoutBtn).toBeTruthy();
+
+      // Test continue button
+      continueBtn.click();
+      expect(onContinue).toHaveBeenCalledTimes(1);
+      expect(dialog.parentNode).toBeNull(); // Dialog should be removed
+
+      // Reset and test logout button
+      const session2 = sessionTimeout({
+        warnAt: 100,
+        onContinue,
+        onLogout,
+      });
+      vi.advanceTimersByTime(150);
+
+      const dialog2 = document.querySelector("dialog");
+      const logoutBtn2 = dialog2.querySelector('[data-action="logout"]');
+      logoutBtn2.click();
+
+      expect(onLogout).toHaveBeenCalledTimes(1);
+      expect(dialog2.parentNode).toBeNull();
+
+      session.destroy();
+      session2.destroy();
+    });
+
+    it("should work without callback functions", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      const continueBtn = dialog.querySelector('[data-action="continue"]');
+
+      // Should not throw when no callback is provided
+      expect(() => continueBtn.click()).not.toThrow();
+      expect(dialog.parentNode).toBeNull(); // Dialog should still be removed
+
+      session.destroy();
+    });
+  });
+
+  describe("events", () => {
+    it("should emit warn, tick and timeout with the remaining time", () => {
+      const session = sessionTimeout({ warnAt: 1000, timeoutAt: 3000 });
+      const onWarn = vi.fn();
+      const onTick = vi.fn();
+      const onTimeout = vi.fn();
+
+      session.on("warn", onWarn);
+      session.on("tick", onTick);
+      session.on("timeout", onTimeout);
+
+      vi.advanceTimersByTime(1000);
+      expect(onWarn).toHaveBeenCalledWith({
+        type: "warn",
+        remaining: 2000,
+        tab: expect.any(String),
+        remote: false,
+      });
+
+      vi.advanceTimersByTime(1000);
+      expect(onTick).toHaveBeenLastCalledWith(
+        expect.objectContaining({ type: "tick", remaining: 1000 }),
+      );
+
+      vi.advanceTimersByTime(1000);
+      expect(onTimeout).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "timeout", remaining: 0 }),
+      );
+
+      session.destroy();
+    });
+
+    it("should emit continue, reset and logout", () => {
+      const session = sessionTimeout({
+        warnAt: 100,
+        onContinue: vi.fn(),
+        onLogout: vi.fn(),
+      });
+      const onContinue = vi.fn();
+      const onReset = vi.fn();
+      const onLogout = vi.fn();
+
+      session.on("continue", onContinue);
+      session.on("reset", onReset);
+      session.on("logout", onLogout);
+
+      session.reset();
+      expect(onReset).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="continue"]').click();
+      expect(onContinue).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="logout"]').click();
+      expect(onLogout).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "logout", remote: false }),
+      );
+
+      session.destroy();
+    });
+
+    it("should emit sync with the originating tab for other tabs' messages", () => {
+      const session = sessionTimeout({ onLogout: vi.fn() });
+      const onSync = vi.fn();
+      const onLogout = vi.fn();
+
+      session.on("sync", onSync);
+      session.on("logout", onLogout);
+
+      const message = {
+        type: "logout",
+        id: "other-1",
+        tab: "other-tab",
+        time: Date.now(),
+      };
+      addEventListenerMock.mock.calls.find((call) => call[0] === "storage")[1]({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify(message),
+      });
+
+      expect(onSync).toHaveBeenCalledWith(
+        expect.objectContaining({ tab: "other-tab", remote: true, message }),
+      );
+      expect(onLogout).toHaveBeenCalledWith(
+        expect.objectContaining({ tab: "other-tab", remote: true }),
+      );
+
+      session.destroy();
+    });
+
+    it("should stop calling handlers after off() or unsubscribing", () => {
+      const session = sessionTimeout();
+      const first = vi.fn();
+      const second = vi.fn();
+
+      const unsubscribe = session.on("reset", first);
+      session.on("reset", second);
+
+      unsubscribe();
+      session.off("reset", second);
+      session.reset();
+
+      expect(first).not.toHaveBeenCalled();
+      expect(second).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should emit destroy and then remove all handlers", () => {
+      const session = sessionTimeout();
+      const onDestroy = vi.fn();
+
+      session.on("destroy", onDestroy);
+      session.destroy();
+      session.destroy();
+
+      expect(onDestroy).toHaveBeenCalledTimes(1);
+    });
+
+    it("should keep working when a handler throws", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 100, onTimeout });
+      const error = new Error("Analytics failed");
+      const reportErrorMock = vi.fn();
+      vi.stubGlobal("reportError", reportErrorMock);
+
+      session.on("timeout", () => {
+        throw error;
+      });
+      const other = vi.fn();
+      session.on("timeout", other);
+
+      vi.advanceTimersByTime(100);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+      expect(other).toHaveBeenCalledTimes(1);
+      expect(reportErrorMock).toHaveBeenCalledWith(error);
+
+      session.destroy();
+      vi.unstubAllGlobals();
+    });
+  });
+
+  describe("namespaces", () => {
+    it("should scope the storage key to the namespace", () => {
+      const session = sessionTimeout({ namespace: "admin" });
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(
+        "admin-last-reset",
+        expect.any(String),
+      );
+
+      session.destroy();
+    });
+
+    it("should allow overriding the storage key", () => {
+      const session = sessionTimeout({ storageKey: "my-app-session" });
+
+      expect(localStorageMock.setItem).toHaveBeenCalledWith(
+        "my-app-session",
+        expect.any(String),
+      );
+
+      session.destroy();
+    });
+
+    it("should scope the broadcast channel to the namespace", () => {
+      const names = [];
+      vi.stubGlobal(
+        "BroadcastChannel",
+        class {
+          constructor(name) {
+            names.push(name);
+          }
+          postMessage() {}
+          addEventListener() {}
+          removeEventListener() {}
+          close() {}
+        },
+      );
+
+      const session = sessionTimeout({ namespace: "admin" });
+      expect(names).toEqual(["admin"]);
+
+      session.destroy();
+      vi.unstubAllGlobals();
+    });
+
+    it("should keep sessions with different storage keys apart", () => {
+      // Channels with the same name talk to each other, like across tabs
+      const channels = [];
+      vi.stubGlobal(
+        "BroadcastChannel",
+        class {
+          constructor(name) {
+            this.name = name;
+            this.listeners = [];
+            channels.push(this);
+          }
+          postMessage(data) {
+            channels
+              .filter(
+                (channel) => channel !== this && channel.name === this.name,
+              )
+              .forEach((channel) =>
+                channel.listeners.forEach((listener) => listener({ data })),
+              );
+          }
+          addEventListener(type, listener) {
+            this.listeners.push(listener);
+          }
+          removeEventListener() {}
+          close() {
+            channels.splice(channels.indexOf(this), 1);
+          }
+        },
+      );
+
+      // Find the channel the other portal's tabs use
+      const portalA = sessionTimeout({ storageKey: "portal-a" });
+      const otherTab = new BroadcastChannel(channels[0].name);
+      portalA.destroy();
+
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        storageKey: "portal-b",
+        warnAt: 300,
+        timeoutAt: 600,
+        onTimeout,
+      });
+
+      vi.advanceTimersByTime(400);
+      otherTab.postMessage({
+        type: "reset",
+        id: "portal-a-1",
+        tab: "other-tab",
+        time: Date.now(),
+        resetAt: Date.now(),
+      });
+      addEventListenerMock.mock.calls
+        .filter(([type]) => type === "storage")
+        .forEach(([, listener]) =>
+          listener({
+            key: "portal-a",
+            newValue: JSON.stringify({
+              type: "reset",
+              id: "portal-a-2",
+              tab: "other-tab",
+              time: Date.now(),
+              resetAt: Date.now(),
+            }),
+          }),
+        );
+      vi.advanceTimersByTime(200);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+      otherTab.close();
+      vi.unstubAllGlobals();
+    });
+
+    it("should scope dialog classes and ids to the namespace", () => {
+      const session = sessionTimeout({ warnAt: 100, namespace: "admin" });
+
+      vi.advanceTimersByTime(150);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.classList.contains("session-timeout-dialog")).toBe(true);
+      expect(dialog.classList.contains("admin-dialog")).toBe(true);
+      expect(dialog.getAttribute("data-namespace")).toBe("admin");
+      expect(dialog.getAttribute("aria-labelledby")).toBe("admin-title");
+
+      session.destroy();
+    });
+
+    it("should let two instances with different namespaces coexist", () => {
+      const onAdminTimeout = vi.fn();
+      const onCustomerTimeout = vi.fn();
+
+      const admin = sessionTimeout({
+        namespace: "admin",
+        warnAt: 100,
+        timeoutAt: 200,
+        onTimeout: onAdminTimeout,
+      });
+      const customer = sessionTimeout({
+        namespace: "customer",
+        warnAt: 100,
+        timeoutAt: 200,
+        onTimeout: onCustomerTimeout,
+      });
+
+      const storageListeners = addEventListenerMock.mock.calls
+        .filter((call) => call[0] === "storage")
+        .map((call) => call[1]);
+      expect(storageListeners).toHaveLength(2);
+
+      // Another tab resets the admin session only
+      vi.advanceTimersByTime(150);
+      expect(document.querySelector(".admin-dialog")).toBeTruthy();
+      expect(document.querySelector(".customer-dialog")).toBeTruthy();
+
+      const resetEvent = {
+        key: "admin-last-reset",
+        newValue: Date.now().toString(),
+      };
+      storageListeners.forEach((listener) => listener(resetEvent));
+
+      expect(document.querySelector(".admin-dialog")).toBeFalsy();
+      expect(document.querySelector(".customer-dialog")).toBeTruthy();
+
+      vi.advanceTimersByTime(50);
+      expect(onCustomerTimeout).toHaveBeenCalledTimes(1);
+      expect(onAdminTimeout).not.toHaveBeenCalled();
+
+      // Each namespace keeps its own state in storage
+      expect(localStorageMock.store["admin-last-reset"]).toBeDefined();
+      expect(localStorageMock.store["customer-last-reset"]).toBeDefined();
+      expect(localStorageMock.store["admin-last-reset"]).not.toBe(
+        localStorageMock.store["customer-last-reset"],
+      );
+
+      admin.destroy();
+      customer.destroy();
+    });
+  });
+
+  describe("runtime updates", () => {
+    const getStorageListener = () =>
+      addEventListenerMock.mock.calls.find((call) => call[0] === "storage")[1];
+
+    it("should apply new timings against the current deadline", () => {
+      const session = sessionTimeout({ warnAt: 1000, timeoutAt: 5000 });
+
+      vi.advanceTimersByTime(500);
+      session.update({ warnAt: 2000 });
+      expect(session.getState()).toEqual({ status: "idle", remaining: 4500 });
+
+      vi.advanceTimersByTime(1000);
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      vi.advanceTimersByTime(600);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should hide the warning when it moves later", () => {
+      const session = sessionTimeout({ warnAt: 1000, timeoutAt: 5000 });
+
+      vi.advanceTimersByTime(1500);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.update({ warnAt: 3000, timeoutAt: 6000 });
+
+      expect(document.querySelector("dialog")).toBeFalsy();
+      expect(session.getState()).toEqual({ status: "idle", remaining: 4500 });
+
+      session.destroy();
+    });
+
+    it("should move the timeout while the warning is showing", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 5000,
+        onTimeout,
+      });
+
+      vi.advanceTimersByTime(1500);
+      session.update({ timeoutAt: 2000 });
+
+      expect(document.querySelector("dialog")).toBeTruthy();
+      vi.advanceTimersByTime(500);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should re-render an open dialog with new text", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+      const dialog = document.querySelector("dialog");
+      session.update({ message: "Saving your work soon", logoutText: "Quit" });
+
+      expect(document.querySelector("dialog")).toBe(dialog);
+      expect(dialog.innerHTML).toContain("Saving your work soon");
+      expect(dialog.querySelector('[data-action="logout"]').textContent).toBe(
+        "Quit",
+      );
+
+      session.destroy();
+    });
+
+    it("should use updated callbacks", () => {
+      const onTimeout = vi.fn();
+      const newOnTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 1000, onTimeout });
+
+      session.update({ onTimeout: newOnTimeout });
+      vi.advanceTimersByTime(1000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(newOnTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should start and stop activity tracking", () => {
+      const session = sessionTimeout({ warnAt: 1000, timeoutAt: 5000 });
+
+      session.update({ trackActivity: true, activityThrottle: 0 });
+      vi.advanceTimersByTime(800);
+      document.dispatchEvent(new Event("keydown"));
+      vi.advanceTimersByTime(800);
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      session.update({ trackActivity: false });
+      document.dispatchEvent(new Event("keydown"));
+      vi.advanceTimersByTime(300);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should share new timings with other tabs", () => {
+      const onUpdate = vi.fn();
+      const session = sessionTimeout({ warnAt: 1000, timeoutAt: 5000 });
+      session.on("update", onUpdate);
+
+      session.update({ warnAt: 2000, message: "Local only" });
+
+      const message = JSON.parse(
+        localStorageMock.store["session-timeout-last-reset-event"],
+      );
+      expect(message).toMatchObject({
+        type: "update",
+        options: { warnAt: 2000, timeoutAt: 5000 },
+      });
+      expect(onUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ type: "update", remote: false }),
+      );
+
+      session.destroy();
+    });
+
+    it("should adopt timings from other tabs", () => {
+      const onUpdate = vi.fn();
+      const session = sessionTimeout({ warnAt: 1000, timeoutAt: 5000 });
+      session.on("update", onUpdate);
+
+      getStorageListener()({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify({
+          type: "update",
+          id: "other-1",
+          tab: "other-tab",
+          time: Date.now(),
+          options: { warnAt: 3000, timeoutAt: 6000 },
+        }),
+      });
+
+      vi.advanceTimersByTime(2000);
+      expect(document.querySelector("dialog")).toBeFalsy();
+      vi.advanceTimersByTime(1000);
+      expect(document.querySelector("dialog")).toBeTruthy();
+      expect(onUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ remote: true, tab: "other-tab" }),
+      );
+      // Not sent back to the other tabs
+      expect(
+        JSON.parse(localStorageMock.store["session-timeout-last-reset-event"])
+          .type,
+      ).toBe("warn");
+
+      session.destroy();
+    });
+
+    it("should reject options that can't change", () => {
+      const session = sessionTimeout({ namespace: "app" });
+
+      expect(() => session.update({ namespace: "other" })).toThrow(TypeError);
+      expect(() => session.update({ namespace: "app" })).not.toThrow();
+
+      session.destroy();
+    });
+
+    it("should keep the current options when an update is invalid", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 1000, onTimeout });
+
+      expect(() => session.update({ warnAt: 2000 })).toThrow(RangeError);
+      vi.advanceTimersByTime(1000);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+  });
+
+  describe("pause and resume", () => {
+    const getStorageListener = () =>
+      addEventListenerMock.mock.calls.find((call) => call[0] === "storage")[1];
+
+    let messageId = 0;
+    const sendSignal = (signal) => {
+      messageId += 1;
+      getStorageListener()({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify({
+          id: `paused-${messageId}`,
+          tab: "other-tab",
+          time: Date.now(),
+          ...signal,
+        }),
+      });
+    };
+
+    const lastSignal = () =>
+      JSON.parse(localStorageMock.store["session-timeout-last-reset"]);
+
+    const lastEvent = () =>
+      JSON.parse(localStorageMock.store["session-timeout-last-reset-event"]);
+
+    it("should stop the clock while paused", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 2000,
+        onTimeout,
+      });
+
+      vi.advanceTimersByTime(500);
+      session.pause();
+      expect(session.getState()).toEqual({ status: "paused", remaining: 2000 });
+
+      vi.advanceTimersByTime(5000);
+      expect(document.querySelector("dialog")).toBeFalsy();
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should close the warning when paused", () => {
+      const session = sessionTimeout({ warnAt: 100, timeoutAt: 2000 });
+
+      vi.advanceTimersByTime(150);
+      session.pause();
+
+      expect(document.querySelector("dialog")).toBeFalsy();
+
+      session.destroy();
+    });
+
+    it("should start the session over when resumed", () => {
+      const onPause = vi.fn();
+      const onResume = vi.fn();
+      const session = sessionTimeout({ warnAt: 1000, timeoutAt: 2000 });
+      session.on("pause", onPause);
+      session.on("resume", onResume);
+
+      session.pause();
+      vi.advanceTimersByTime(5000);
+      session.resume();
+
+      expect(onPause).toHaveBeenCalledTimes(1);
+      expect(onResume).toHaveBeenCalledTimes(1);
+      expect(session.getState()).toEqual({ status: "idle", remaining: 2000 });
+      expect(lastSignal()).toMatchObject({
+        type: "resume",
+        resetAt: Date.now(),
+      });
+
+      vi.advanceTimersByTime(999);
+      expect(document.querySelector("dialog")).toBeFalsy();
+      vi.advanceTimersByTime(1);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should ignore activity while paused", () => {
+      const session = sessionTimeout({
+        timeoutAt: 2000,
+        trackActivity: true,
+        activityThrottle: 0,
+      });
+
+      session.pause();
+      const signal = lastSignal();
+      document.dispatchEvent(new Event("keydown"));
+
+      expect(lastSignal()).toEqual(signal);
+      expect(session.getState().status).toBe("paused");
+
+      session.destroy();
+    });
+
+    it("should pause while a keep-alive element is in the page", async () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 2000, onTimeout });
+
+      const video = document.createElement("video");
+      video.setAttribute("data-session-timeout-keepalive", "");
+      document.body.appendChild(video);
+      await Promise.resolve();
+
+      expect(session.getState().status).toBe("paused");
+      vi.advanceTimersByTime(5000);
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      video.removeAttribute("data-session-timeout-keepalive");
+      await Promise.resolve();
+      expect(session.getState().status).toBe("idle");
+
+      vi.advanceTimersByTime(2000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+      video.remove();
+    });
+
+    it("should stay paused until both pause() and keep-alive elements release it", async () => {
+      const session = sessionTimeout({ timeoutAt: 2000 });
+      const upload = document.createElement("div");
+      upload.setAttribute("data-session-timeout-keepalive", "");
+
+      session.pause();
+      document.body.appendChild(upload);
+      await Promise.resolve();
+      session.resume();
+
+      expect(session.getState().status).toBe("paused");
+
+      upload.remove();
+      await Promise.resolve();
+      expect(session.getState().status).toBe("idle");
+
+      session.destroy();
+    });
+
+    it("should pause when another tab pauses", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 2000, onTimeout });
+
+      sendSignal({ type: "pause" });
+      vi.advanceTimersByTime(5000);
+
+      expect(session.getState().status).toBe("paused");
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      sendSignal({ type: "resume", resetAt: Date.now() });
+      expect(session.getState()).toEqual({ status: "idle", remaining: 2000 });
+
+      vi.advanceTimersByTime(2000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should stop holding the session for a tab that stops renewing its pause", () => {
+      const onResume = vi.fn();
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        timeoutAt: 10000,
+        checkInterval: 1000,
+        onTimeout,
+      });
+      session.on("resume", onResume);
+
+      // The other tab crashes without releasing its pause
+      sendSignal({ type: "pause", until: Date.now() + 3000 });
+      vi.advanceTimersByTime(2000);
+      expect(session.getState().status).toBe("paused");
+
+      vi.advanceTimersByTime(1000);
+      expect(session.getState()).toEqual({ status: "idle", remaining: 7000 });
+      expect(onResume).toHaveBeenCalledWith(
+        expect.objectContaining({ remote: true, tab: "other-tab" }),
+      );
+
+      vi.advanceTimersByTime(7000);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should stay paused while the other tab renews its pause", () => {
+      const session = sessionTimeout({ timeoutAt: 10000, checkInterval: 1000 });
+
+      sendSignal({ type: "pause", until: Date.now() + 3000 });
+      vi.advanceTimersByTime(2000);
+      sendSignal({ type: "pause", until: Date.now() + 3000 });
+      vi.advanceTimersByTime(2000);
+
+      expect(session.getState().status).toBe("paused");
+
+      session.destroy();
+    });
+
+    it("should keep renewing its own pause", () => {
+      const session = sessionTimeout({ timeoutAt: 10000, checkInterval: 1000 });
+
+      session.pause();
+      const first = lastEvent();
+      vi.advanceTimersByTime(1000);
+
+      expect(first).toMatchObject({
+        type: "pause",
+        until: Date.now() - 1000 + 2 * 60 * 1000,
+      });
+      expect(lastEvent()).toMatchObject({
+        type: "pause",
+        until: Date.now() + 2 * 60 * 1000,
+      });
+      expect(lastEvent().id).not.toBe(first.id);
+
+      session.destroy();
+    });
+
+    it("should remind new tabs that the session is paused", () => {
+      const session = sessionTimeout({ timeoutAt: 2000 });
+
+      session.pause();
+      sendSignal({ type: "reset", resetAt: Date.now() + 1 });
+
+      expect(lastEvent().type).toBe("pause");
+
+      session.destroy();
+    });
+
+    it("should release other tabs when the page is hidden or destroyed", () => {
+      const session = sessionTimeout({ timeoutAt: 2000 });
+      const handlePageHide = addEventListenerMock.mock.calls.find(
+        (call) => call[0] === "pagehide",
+      )[1];
+
+      session.pause();
+      handlePageHide();
+      expect(lastSignal().type).toBe("resume");
+
+      session.pause();
+      session.destroy();
+      expect(lastSignal().type).toBe("resume");
+      expect(removeEventListenerMock).toHaveBeenCalledWith(
+        "pagehide",
+        handlePageHide,
+      );
+    });
+  });
+
+  describe("keep-alive heartbeat", () => {
+    const getStorageListener = () =>
+      addEventListenerMock.mock.calls.find((call) => call[0] === "storage")[1];
+
+    let messageId = 0;
+    const sendSignal = (signal) => {
+      messageId += 1;
+      getStorageListener()({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify({
+          id: `leader-${messageId}`,
+          time: Date.now(),
+          ...signal,
+        }),
+      });
+    };
+
+    it("should be off by default", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({ onContinue });
+
+      session.reset();
+      vi.advanceTimersByTime(10 * 60 * 1000);
+
+      expect(onContinue).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should ping only after activity", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({ keepAliveInterval: 1000, onContinue });
+
+      vi.advanceTimersByTime(1000);
+      expect(onContinue).not.toHaveBeenCalled();
+
+      session.reset();
+      vi.advanceTimersByTime(1000);
+      expect(onContinue).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(3000);
+      expect(onContinue).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should keep pinging while paused", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({ keepAliveInterval: 1000, onContinue });
+
+      session.pause();
+      vi.advanceTimersByTime(3000);
+
+      expect(onContinue).toHaveBeenCalledTimes(3);
+
+      session.destroy();
+    });
+
+    it("should stop once the session warns", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 1500,
+        timeoutAt: 10000,
+        keepAliveInterval: 1000,
+        onContinue,
+      });
+
+      vi.advanceTimersByTime(1600);
+      session.show();
+      onContinue.mockClear();
+      document.dispatchEvent(new Event("keydown"));
+      vi.advanceTimersByTime(3000);
+
+      expect(session.getState().status).toBe("warning");
+      expect(onContinue).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should leave pinging to the tab holding the lease", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({ keepAliveInterval: 1000, onContinue });
+
+      sendSignal({
+        type: "leader",
+        tab: "other-tab",
+        until: Date.now() + 1500,
+      });
+      vi.advanceTimersByTime(100);
+      session.reset();
+      vi.advanceTimersByTime(900);
+      expect(onContinue).not.toHaveBeenCalled();
+
+      // The other tab stopped renewing its lease, so this tab takes over
+      vi.advanceTimersByTime(1000);
+      expect(onContinue).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should claim the lease and share when it last pinged", () => {
+      const session = sessionTimeout({
+        keepAliveInterval: 1000,
+        onContinue: vi.fn(),
+      });
+
+      vi.advanceTimersByTime(100);
+      session.reset();
+      vi.advanceTimersByTime(900);
+
+      const message = JSON.parse(
+        localStorageMock.store["session-timeout-last-reset-event"],
+      );
+      expect(message).toMatchObject({
+        type: "leader",
+        until: Date.now() + 2000,
+        pingedAt: Date.now(),
+      });
+
+      session.destroy();
+      expect(
+        JSON.parse(localStorageMock.store["session-timeout-last-reset-event"]),
+      ).toMatchObject({ type: "leader", until: 0 });
+    });
+
+    it("should not hide a missed reset behind another tab's heartbeat", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 15000,
+        timeoutAt: 20000,
+        keepAliveInterval: 5000,
+        onTimeout,
+      });
+      const otherTab = createLocalStorageTransport();
+
+      // The page sits in the back/forward cache while another tab resets the
+      // session and then sends its heartbeat
+      vi.setSystemTime(Date.now() + 10000);
+      otherTab.post({
+        type: "reset",
+        id: "other-1",
+        tab: "other-tab",
+        time: Date.now(),
+        resetAt: Date.now(),
+      });
+      otherTab.post({
+        type: "leader",
+        id: "other-2",
+        tab: "other-tab",
+        time: Date.now(),
+        until: Date.now() + 10000,
+        pingedAt: Date.now(),
+      });
+
+      vi.setSystemTime(Date.now() + 12000);
+      addEventListenerMock.mock.calls.find((call) => call[0] === "pageshow")[1](
+        { type: "pageshow" },
+      );
+
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(session.getState()).toEqual({ status: "idle", remaining: 8000 });
+      expect(
+        JSON.parse(localStorageMock.store["session-timeout-last-reset"]).type,
+      ).toBe("reset");
+
+      session.destroy();
+    });
+
+    it("should yield to the lowest tab id when both claim the lease", () => {
+      const onContinue = vi.fn();
+      const session = sessionTimeout({ keepAliveInterval: 1000, onContinue });
+
+      vi.advanceTimersByTime(1000);
+      sendSignal({ type: "leader", tab: "0", until: Date.now() + 2000 });
+      session.reset();
+      vi.advanceTimersByTime(1000);
+
+      expect(onContinue).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should time out when the server session is gone", async () => {
+      const onContinue = vi.fn().mockResolvedValue({ ok: false, status: 401 });
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        keepAliveInterval: 1000,
+        onContinue,
+        onTimeout,
+      });
+
+      vi.advanceTimersByTime(100);
+      session.reset();
+      await vi.advanceTimersByTimeAsync(900);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+  });
+
+  describe("request interception", () => {
+    const originalFetch = globalThis.fetch;
+    const originalLocation = window.location;
+
+    beforeEach(() => {
+      Object.defineProperty(window, "location", {
+        value: { href: "https://app.test/page", origin: "https://app.test" },
+        writable: true,
+      });
+    });
+
+    afterEach(() => {
+      globalThis.fetch = originalFetch;
+      Object.defineProperty(window, "location", {
+        value: originalLocation,
+        writable: true,
+      });
+    });
+
+    const respond = async (url, status) => {
+      originalFetch.mockResolvedValueOnce({ url: "", status });
+      await globalThis.fetch(url);
+      await Promise.resolve();
+    };
+
+    it("should only patch fetch when enabled and restore it on destroy", () => {
+      const plain = sessionTimeout();
+      expect(globalThis.fetch).toBe(originalFetch);
+      plain.destroy();
+
+      const session = sessionTimeout({ interceptRequests: true });
+      expect(globalThis.fetch).not.toBe(originalFetch);
+
+      session.destroy();
+      expect(globalThis.fetch).toBe(originalFetch);
+    });
+
+    it("should keep the patch until every session is destroyed", () => {
+      const first = sessionTimeout({ interceptRequests: true, namespace: "a" });
+      const second = sessionTimeout({
+        interceptRequests: true,
+        namespace: "b",
+      });
+
+      first.destroy();
+      expect(globalThis.fetch).not.toBe(originalFetch);
+
+      second.destroy();
+      expect(globalThis.fetch).toBe(originalFetch);
+    });
+
+    it("should reset on successful same-origin responses", async () => {
+      const onReset = vi.fn();
+      const session = sessionTimeout({
+        interceptRequests: true,
+        activityThrottle: 0,
+      });
+      session.on("reset", onReset);
+
+      vi.advanceTimersByTime(100);
+      await respond("/api/items", 200);
+      expect(onReset).toHaveBeenCalledTimes(1);
+
+      await respond("https://other.test/api/items", 200);
+      await respond("/api/items", 500);
+      expect(onReset).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should time out on 401 and 419 responses", async () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ interceptRequests: true, onTimeout });
+
+      await respond("/api/items", 419);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+      expect(session.getState().status).toBe("expired");
+
+      session.destroy();
+    });
+
+    it("should only match requests passing the filter", async () => {
+      const onReset = vi.fn();
+      const filters = [
+        "/api/",
+        /^\/api\//,
+        (url) => url.pathname.startsWith("/api/"),
+      ];
+
+      for (const interceptRequests of filters) {
+        const session = sessionTimeout({
+          interceptRequests,
+          activityThrottle: 0,
+        });
+        session.on("reset", onReset);
+        vi.advanceTimersByTime(100);
+
+        await respond("/assets/logo.png", 200);
+        expect(onReset).not.toHaveBeenCalled();
+        await respond("https://app.test/api/items?page=2", 200);
+        expect(onReset).toHaveBeenCalledTimes(1);
+
+        session.destroy();
+        onReset.mockClear();
+      }
+    });
+
+    it("should throttle resets", async () => {
+      const onReset = vi.fn();
+      const session = sessionTimeout({
+        interceptRequests: true,
+        activityThrottle: 1000,
+      });
+      session.on("reset", onReset);
+
+      vi.advanceTimersByTime(1000);
+      await respond("/api/a", 200);
+      await respond("/api/b", 200);
+
+      expect(onReset).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+    });
+
+    it("should watch XMLHttpRequest responses", () => {
+      class FakeXHR {
+        addEventListener(type, listener) {
+          this.listener = listener;
+        }
+        open() {}
+        send() {}
+      }
+      vi.stubGlobal("XMLHttpRequest", FakeXHR);
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ interceptRequests: true, onTimeout });
+
+      const xhr = new FakeXHR();
+      xhr.open("GET", "/api/items");
+      xhr.send();
+      xhr.status = 401;
+      xhr.listener();
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      session.destroy();
+      vi.unstubAllGlobals();
+    });
+
+    it("should keep working for wrappers installed after it", async () => {
+      const onReset = vi.fn();
+      const session = sessionTimeout({
+        interceptRequests: true,
+        activityThrottle: 0,
+      });
+      session.on("reset", onReset);
+      // Like an error tracker that wraps fetch after the session started
+      const ourFetch = globalThis.fetch;
+      const wrapper = vi.fn((...args) => ourFetch(...args));
+      globalThis.fetch = wrapper;
+
+      session.destroy();
+      expect(globalThis.fetch).toBe(wrapper);
+
+      vi.advanceTimersByTime(100);
+      originalFetch.mockResolvedValueOnce({ url: "", status: 200 });
+      await expect(globalThis.fetch("/api/items")).resolves.toMatchObject({
+        status: 200,
+      });
+      await Promise.resolve();
+      expect(originalFetch).toHaveBeenCalledWith("/api/items", undefined);
+      expect(onReset).not.toHaveBeenCalled();
+    });
+
+    it("should leave XMLHttpRequest patches installed after it", () => {
+      class FakeXHR {
+        open() {}
+        send() {}
+      }
+      vi.stubGlobal("XMLHttpRequest", FakeXHR);
+      const session = sessionTimeout({ interceptRequests: true });
+      const ourOpen = FakeXHR.prototype.open;
+      const laterOpen = function (...args) {
+        return ourOpen.apply(this, args);
+      };
+      FakeXHR.prototype.open = laterOpen;
+
+      session.destroy();
+
+      expect(FakeXHR.prototype.open).toBe(laterOpen);
+      expect(() => new FakeXHR().open("GET", "/api/items")).not.toThrow();
+      vi.unstubAllGlobals();
+    });
+
+    it("should not intercept its own keep-alive request", async () => {
+      const onReset = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 100,
+        interceptRequests: true,
+        activityThrottle: 0,
+      });
+      session.on("reset", onReset);
+      originalFetch.mockResolvedValueOnce({ url: "", status: 200, ok: true });
+
+      vi.advanceTimersByTime(150);
+      document.querySelector('[data-action="continue"]').click();
+      await vi.advanceTimersByTimeAsync(0);
+
+      expect(originalFetch).toHaveBeenCalledWith(
+        expect.stringContaining("/keep-alive?time="),
+        { method: "GET" },
+      );
+      expect(document.querySelector("dialog")).toBeFalsy();
+      expect(onReset).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+  });
+
+  describe("warning stages", () => {
+    const stages = [
+      { name: "notice", at: 1000, display: "toast" },
+      { name: "warning", at: 2000 },
+      {
+        name: "urgent",
+        at: 3500,
+        title: "Last chance",
+        message: "You're about to be logged out.",
+      },
+    ];
+
+    it("should escalate from a toast to the modal", () => {
+      const session = sessionTimeout({ stages, timeoutAt: 4000 });
+
+      vi.advanceTimersByTime(1000);
+      const toast = document.querySelector(".session-timeout-toast");
+      expect(toast).toBeTruthy();
+      expect(toast.getAttribute("role")).toBe("status");
+      expect(toast.getAttribute("popover")).toBe("manual");
+      expect(toast.getAttribute("data-stage")).toBe("notice");
+      expect(toast.querySelector(".countdown").textContent).toBe(
+        "00:03 remaining",
+      );
+      expect(document.querySelector("dialog")).toBeNull();
+      expect(session.getState().status).toBe("warning");
+
+      vi.advanceTimersByTime(1000);
+      expect(document.querySelector(".session-timeout-toast")).toBeNull();
+      const dialog = document.querySelector("dialog");
+      expect(dialog.getAttribute("data-stage")).toBe("warning");
+      expect(dialog.querySelector("h2").textContent).toBe("Session Expiring");
+
+      vi.advanceTimersByTime(1500);
+      // The same dialog, updated for the urgent stage
+      expect(document.querySelector("dialog")).toBe(dialog);
+      expect(dialog.getAttribute("data-stage")).toBe("urgent");
+      expect(dialog.querySelector("h2").textContent).toBe("Last chance");
+      expect(dialog.querySelector("p").textContent).toBe(
+        "You're about to be logged out.",
+      );
+
+      session.destroy();
+    });
+
+    it("should emit an event for each stage and warn once", () => {
+      const session = sessionTimeout({ stages, timeoutAt: 4000 });
+      const onWarn = vi.fn();
+      const onStage = vi.fn();
+      session.on("warn", onWarn);
+      session.on("stage", onStage);
+
+      vi.advanceTimersByTime(3500);
+
+      expect(onWarn).toHaveBeenCalledTimes(1);
+      expect(onStage.mock.calls.map(([event]) => event)).toEqual([
+        expect.objectContaining({ stage: "notice", display: "toast" }),
+        expect.objectContaining({ stage: "warning", display: "modal" }),
+        expect.objectContaining({ stage: "urgent", display: "modal" }),
+      ]);
+
+      session.destroy();
+    });
+
+    it("should show a banner at the top of the page", () => {
+      const onContinue = vi.fn();
+      document.body.append(document.createElement("main"));
+      const session = sessionTimeout({
+        stages: [{ at: 1000, display: "banner" }],
+        timeoutAt: 3000,
+        onContinue,
+      });
+
+      vi.advanceTimersByTime(1000);
+      const banner = document.body.firstElementChild;
+      expect(banner.classList.contains("session-timeout-banner")).toBe(true);
+      expect(banner.getAttribute("role")).toBe("alert");
+      expect(banner.getAttribute("data-stage")).toBe("stage-1");
+      expect(banner.querySelector(".message").textContent).toBe(
+        "Your session is about to expire.",
+      );
+
+      banner.querySelector('[data-action="continue"]').click();
+
+      expect(onContinue).toHaveBeenCalledTimes(1);
+      expect(banner.isConnected).toBe(false);
+      expect(session.getState().status).toBe("idle");
+
+      document.querySelector("main").remove();
+      session.destroy();
+    });
+
+    it("should only emit events for callback-only stages", () => {
+      const session = sessionTimeout({
+        stages: [{ name: "log", at: 1000, display: "none" }],
+        timeoutAt: 3000,
+      });
+      const onStage = vi.fn();
+      session.on("stage", onStage);
+
+      vi.advanceTimersByTime(1000);
+
+      expect(onStage).toHaveBeenCalledWith(
+        expect.objectContaining({ stage: "log", display: "none" }),
+      );
+      expect(document.body.children).toHaveLength(0);
+
+      session.destroy();
+    });
+
+    it("should let activity reset the session until the modal stage", () => {
+      const session = sessionTimeout({
+        stages: [
+          { at: 1000, display: "toast" },
+          { at: 2000, display: "modal" },
+        ],
+        timeoutAt: 3000,
+        trackActivity: true,
+        activityThrottle: 0,
+      });
+
+      vi.advanceTimersByTime(1000);
+      document.dispatchEvent(new Event("mousemove"));
+      expect(document.querySelector(".session-timeout-toast")).toBeNull();
+      expect(session.getState().status).toBe("idle");
+
+      vi.advanceTimersByTime(2000);
+      document.dispatchEvent(new Event("mousemove"));
+      expect(document.querySelector("dialog")).toBeTruthy();
+      expect(session.getState().status).toBe("warning");
+
+      session.destroy();
+    });
+
+    it("should skip stages missed while the page slept", () => {
+      const session = sessionTimeout({ stages, timeoutAt: 4000 });
+      const onStage = vi.fn();
+      session.on("stage", onStage);
+
+      vi.setSystemTime(Date.now() + 3600);
+      document.dispatchEvent(new Event("visibilitychange"));
+
+      expect(onStage).toHaveBeenCalledTimes(1);
+      expect(onStage).toHaveBeenCalledWith(
+        expect.objectContaining({ stage: "urgent" }),
+      );
+      expect(document.querySelector(".session-timeout-toast")).toBeNull();
+      expect(document.querySelector("dialog").getAttribute("data-stage")).toBe(
+        "urgent",
+      );
+
+      session.destroy();
+    });
+
+    it("should sort stages by time", () => {
+      const session = sessionTimeout({
+        stages: [
+          { name: "late", at: 2000 },
+          { name: "early", at: 1000, display: "toast" },
+        ],
+        timeoutAt: 3000,
+      });
+
+      vi.advanceTimersByTime(1000);
+      expect(
+        document.querySelector(".session-timeout-toast").dataset.stage,
+      ).toBe("early");
+
+      session.destroy();
+    });
+
+    it("should share new stages with other tabs", () => {
+      const session = sessionTimeout({ timeoutAt: 4000 });
+
+      session.update({ stages });
+
+      const message = JSON.parse(
+        localStorageMock.store["session-timeout-last-reset-event"],
+      );
+      expect(message.type).toBe("update");
+      expect(message.options.stages).toEqual([
+        { name: "notice", at: 1000, display: "toast" },
+        { name: "warning", at: 2000 },
+        { name: "urgent", at: 3500 },
+      ]);
+
+      vi.advanceTimersByTime(1000);
+      expect(document.querySelector(".session-timeout-toast")).toBeTruthy();
+
+      session.destroy();
+    });
+
+    it("should share stages with rich text over BroadcastChannel", () => {
+      const posted = [];
+      vi.stubGlobal(
+        "BroadcastChannel",
+        class {
+          // Like the real one, which throws DataCloneError for functions
+          postMessage(data) {
+            posted.push(structuredClone(data));
+          }
+          addEventListener() {}
+          removeEventListener() {}
+          close() {}
+        },
+      );
+      const onUpdate = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 4000 });
+      session.on("update", onUpdate);
+
+      session.update({
+        stages: [{ at: 1000, display: "toast", message: () => "Soon" }],
+      });
+
+      expect(onUpdate).toHaveBeenCalledTimes(1);
+      expect(posted.at(-1).options.stages).toEqual([
+        { at: 1000, display: "toast" },
+      ]);
+      vi.advanceTimersByTime(1000);
+      expect(
+        document.querySelector(".session-timeout-toast .message").textContent,
+      ).toBe("Soon");
+
+      session.destroy();
+      vi.unstubAllGlobals();
+    });
+
+    it("should keep its own stage texts when another tab changes the timings", () => {
+      const session = sessionTimeout({ stages, timeoutAt: 4000 });
+
+      addEventListenerMock.mock.calls.find(([type]) => type === "storage")[1]({
+        key: "session-timeout-last-reset-event",
+        newValue: JSON.stringify({
+          type: "update",
+          id: "other-1",
+          tab: "other-tab",
+          time: Date.now(),
+          options: {
+            warnAt: 1000,
+            timeoutAt: 4000,
+            stages: [{ name: "urgent", at: 500 }],
+          },
+        }),
+      });
+      vi.advanceTimersByTime(500);
+
+      const dialog = document.querySelector("dialog");
+      expect(dialog.getAttribute("data-stage")).toBe("urgent");
+      expect(dialog.querySelector("h2").textContent).toBe("Last chance");
+
+      session.destroy();
+    });
+
+    it("should reach the stage when another tab does", () => {
+      const session = sessionTimeout({ stages, timeoutAt: 4000 });
+      const storageListener = addEventListenerMock.mock.calls.find(
+        ([type]) => type === "storage",
+      )[1];
+
+      // Our own timer is throttled, but the other tab's isn't
+      vi.setSystemTime(Date.now() + 2000);
+      storageListener({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify({
+          type: "warn",
+          id: "other-1",
+          tab: "other-tab",
+          time: Date.now(),
+        }),
+      });
+
+      expect(document.querySelector("dialog").dataset.stage).toBe("warning");
+
+      session.destroy();
+    });
+
+    it("should run stages without a DOM in headless mode", () => {
+      const session = sessionTimeout({
+        stages,
+        timeoutAt: 4000,
+        headless: true,
+      });
+      const onStage = vi.fn();
+      session.on("stage", onStage);
+
+      vi.advanceTimersByTime(2000);
+
+      expect(onStage).toHaveBeenCalledTimes(2);
+      expect(document.body.children).toHaveLength(0);
+
+      session.destroy();
+    });
+  });
+
+  describe("background alerts", () => {
+    let notifications;
+
+    class MockNotification extends EventTarget {
+      static permission = "granted";
+      static requestPermission = vi.fn(() => Promise.resolve("granted"));
+
+      constructor(title, options) {
+        super();
+        this.title = title;
+        this.options = options;
+        this.close = vi.fn();
+        notifications.push(this);
+      }
+    }
+
+    const setVisibility = (visibilityState) => {
+      Object.defineProperty(document, "visibilityState", {
+        value: visibilityState,
+        configurable: true,
+      });
+      document.dispatchEvent(new Event("visibilitychange"));
+    };
+
+    beforeEach(() => {
+      notifications = [];
+      MockNotification.permission = "granted";
+      vi.stubGlobal("Notification", MockNotification);
+      document.title = "Inbox";
+    });
+
+    afterEach(() => {
+      vi.unstubAllGlobals();
+      delete document.visibilityState;
+      document.head.replaceChildren();
+    });
+
+    it("should notify when warning while the page is hidden", () => {
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 3000,
+        notification: true,
+      });
+      setVisibility("hidden");
+
+      vi.advanceTimersByTime(1000);
+
+      expect(notifications).toHaveLength(1);
+      expect(notifications[0].title).toBe("Session Expiring");
+      expect(notifications[0].options).toMatchObject({
+        body: "Your session is about to expire.",
+        tag: "session-timeout",
+      });
+
+      session.destroy();
+      expect(notifications[0].close).toHaveBeenCalled();
+    });
+
+    it("should not notify while the page is visible", () => {
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 3000,
+        notification: true,
+      });
+
+      vi.advanceTimersByTime(1000);
+      expect(notifications).toHaveLength(0);
+
+      // Switching away while warning still notifies
+      setVisibility("hidden");
+      expect(notifications).toHaveLength(1);
+
+      // Coming back closes it
+      setVisibility("visible");
+      expect(notifications[0].close).toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should focus the page and continue when clicked", () => {
+      const onContinue = vi.fn();
+      const focus = vi.spyOn(window, "focus").mockImplementation(() => {});
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 3000,
+        notification: true,
+        onContinue,
+      });
+      setVisibility("hidden");
+      vi.advanceTimersByTime(1000);
+
+      notifications[0].dispatchEvent(new Event("click"));
+
+      expect(focus).toHaveBeenCalled();
+      expect(onContinue).toHaveBeenCalledTimes(1);
+      expect(notifications[0].close).toHaveBeenCalled();
+      expect(session.getState().status).toBe("idle");
+
+      session.destroy();
+    });
+
+    it("should not notify without permission", () => {
+      MockNotification.permission = "denied";
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 3000,
+        notification: true,
+      });
+      setVisibility("hidden");
+
+      vi.advanceTimersByTime(1000);
+
+      expect(notifications).toHaveLength(0);
+      session.destroy();
+    });
+
+    it("should ask for permission on the next click", () => {
+      MockNotification.permission = "default";
+      MockNotification.requestPermission.mockClear();
+      const session = sessionTimeout({ notification: true });
+
+      document.body.click();
+
+      expect(MockNotification.requestPermission).toHaveBeenCalledTimes(1);
+      session.destroy();
+    });
+
+    it("should flash the title until the dialog closes", () => {
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 5000,
+        flashTitle: true,
+      });
+
+      vi.advanceTimersByTime(1000);
+      vi.advanceTimersByTime(1000);
+      expect(document.title).toBe("00:03 remaining");
+      vi.advanceTimersByTime(1000);
+      expect(document.title).toBe("Inbox");
+      vi.advanceTimersByTime(1000);
+      expect(document.title).toBe("00:01 remaining");
+
+      session.close();
+      expect(document.title).toBe("Inbox");
+
+      session.destroy();
+    });
+
+    it("should show a favicon badge while warning", () => {
+      const icon = document.createElement("link");
+      icon.rel = "icon";
+      icon.setAttribute("href", "/favicon.ico");
+      document.head.append(icon);
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 3000,
+        faviconBadge: "/badge.svg",
+      });
+
+      vi.advanceTimersByTime(1000);
+      expect(icon.getAttribute("href")).toBe("/badge.svg");
+
+      session.reset();
+      expect(icon.getAttribute("href")).toBe("/favicon.ico");
+
+      session.destroy();
+    });
+
+    it("should not alert for callback-only stages or in headless mode", () => {
+      const icon = document.createElement("link");
+      icon.rel = "icon";
+      icon.setAttribute("href", "/favicon.ico");
+      document.head.append(icon);
+      setVisibility("hidden");
+
+      const session = sessionTimeout({
+        stages: [{ at: 1000, display: "none" }],
+        timeoutAt: 3000,
+        notification: true,
+        flashTitle: true,
+        faviconBadge: true,
+      });
+      const headless = sessionTimeout({
+        namespace: "headless",
+        headless: true,
+        warnAt: 1000,
+        timeoutAt: 3000,
+        notification: true,
+        flashTitle: true,
+        faviconBadge: true,
+      });
+
+      vi.advanceTimersByTime(2000);
+
+      expect(notifications).toHaveLength(0);
+      expect(document.title).toBe("Inbox");
+      expect(icon.getAttribute("href")).toBe("/favicon.ico");
+
+      session.destroy();
+      headless.destroy();
+    });
+  });
+
+  describe("unsaved work", () => {
+    afterEach(() => {
+      sessionStorage.clear();
+      document.querySelectorAll("form").forEach((form) => form.remove());
+    });
+
+    it("should save marked forms before onTimeout", () => {
+      const form = document.createElement("form");
+      form.id = "comment";
+      form.setAttribute("data-session-timeout-save", "");
+      form.innerHTML = '<textarea name="body"></textarea>';
+      document.body.append(form);
+      form.elements.body.value = "Half-written comment";
+
+      let savedBeforeTimeout = null;
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 2000,
+        saveForms: true,
+        onTimeout: () => {
+          savedBeforeTimeout = sessionStorage.getItem(
+            "session-timeout-forms:/",
+          );
+        },
+      });
+
+      vi.advanceTimersByTime(2000);
+
+      expect(JSON.parse(savedBeforeTimeout).forms.comment).toEqual({
+        body: "Half-written comment",
+      });
+
+      form.elements.body.value = "";
+      expect(restoreForms()).toBe(1);
+      expect(form.elements.body.value).toBe("Half-written comment");
+
+      session.destroy();
+    });
+
+    it("should save forms matching a selector", () => {
+      const form = document.createElement("form");
+      form.className = "editor";
+      form.innerHTML = '<input name="title">';
+      document.body.append(form);
+      form.elements.title.value = "Draft";
+
+      const session = sessionTimeout({
+        timeoutAt: 1000,
+        saveForms: "form.editor",
+        onTimeout: vi.fn(),
+      });
+      vi.advanceTimersByTime(1000);
+
+      expect(sessionStorage.getItem("session-timeout-forms:/")).toContain(
+        "Draft",
+      );
+
+      session.destroy();
+    });
+
+    it("should not save forms by default", () => {
+      const form = document.createElement("form");
+      form.setAttribute("data-session-timeout-save", "");
+      form.innerHTML = '<input name="title" value="Draft">';
+      document.body.append(form);
+
+      const session = sessionTimeout({ timeoutAt: 1000, onTimeout: vi.fn() });
+      vi.advanceTimersByTime(1000);
+
+      expect(sessionStorage.length).toBe(0);
+      session.destroy();
+    });
+
+    it("should call onBeforeTimeout before onTimeout, in every tab", () => {
+      const calls = [];
+      const session = sessionTimeout({
+        timeoutAt: 5000,
+        onBeforeTimeout: (details) => calls.push(["before", details]),
+        onTimeout: (details) => calls.push(["timeout", details]),
+      });
+      const storageListener = addEventListenerMock.mock.calls.find(
+        ([type]) => type === "storage",
+      )[1];
+
+      storageListener({
+        key: "session-timeout-last-reset",
+        newValue: JSON.stringify({
+          type: "timeout",
+          id: "other-1",
+          tab: "other-tab",
+          time: Date.now(),
+        }),
+      });
+
+      expect(calls).toEqual([
+        ["before", { remote: true }],
+        ["timeout", { remote: true }],
+      ]);
+
+      session.destroy();
+    });
+
+    it("should not call onBeforeTimeout on logout", () => {
+      const onBeforeTimeout = vi.fn();
+      const session = sessionTimeout({ onBeforeTimeout, onLogout: vi.fn() });
+
+      session.logout();
+
+      expect(onBeforeTimeout).not.toHaveBeenCalled();
+      session.destroy();
+    });
+  });
+
+  describe("option checking", () => {
+    it("should reject non-function callbacks", () => {
+      expect(() => sessionTimeout({ onTimeout: "/timed-out" })).toThrow(
+        new TypeError(
+          'session-timeout: "onTimeout" must be a function or null, got "/timed-out"',
+        ),
+      );
+      expect(() => sessionTimeout({ render: "template" })).toThrow(TypeError);
+    });
+
+    it("should allow null for callbacks", () => {
+      expect(() =>
+        sessionTimeout({
+          render: null,
+          getExpiry: null,
+          onContinue: null,
+          onLogout: null,
+          onTimeout: null,
+        }).destroy(),
+      ).not.toThrow();
+    });
+
+    it("should skip callbacks set to null", () => {
+      const session = sessionTimeout({
+        warnAt: 1000,
+        timeoutAt: 2000,
+        onContinue: null,
+        onTimeout: null,
+      });
+
+      vi.advanceTimersByTime(1000);
+      session.continue();
+      expect(session.getState()).toEqual({ status: "idle", remaining: 2000 });
+      expect(fetch).not.toHaveBeenCalled();
+
+      vi.advanceTimersByTime(2000);
+      expect(session.getState().status).toBe("expired");
+
+      session.destroy();
+    });
+
+    it("should reject non-finite durations", () => {
+      expect(() => sessionTimeout({ warnAt: NaN })).toThrow(
+        new TypeError(
+          'session-timeout: "warnAt" must be a finite number of milliseconds, got NaN',
+        ),
+      );
+      expect(() => sessionTimeout({ timeoutAt: "1200000" })).toThrow(TypeError);
+      expect(() => sessionTimeout({ timeoutAt: Infinity })).toThrow(TypeError);
+      expect(() => sessionTimeout({ keepAliveRetries: NaN })).toThrow(
+        TypeError,
+      );
+      expect(() => sessionTimeout({ maxExtensions: "10" })).toThrow(TypeError);
+    });
+
+    it("should reject namespaces that can't be used in selectors", () => {
+      expect(() => sessionTimeout({ namespace: "acme admin" })).toThrow(
+        new TypeError(
+          'session-timeout: "namespace" must be letters, digits, "-" and "_", got "acme admin"',
+        ),
+      );
+      expect(() => sessionTimeout({ namespace: "" })).toThrow(TypeError);
+      expect(() =>
+        sessionTimeout({ namespace: "acme_admin-2" }).destroy(),
+      ).not.toThrow();
+    });
+
+    it("should reject an invalid saveForms", () => {
+      expect(() => sessionTimeout({ saveForms: ["form"] })).toThrow(
+        new TypeError(
+          'session-timeout: "saveForms" must be a boolean or a selector, got form',
+        ),
+      );
+      expect(() => sessionTimeout({ onBeforeTimeout: "save" })).toThrow(
+        TypeError,
+      );
+    });
+
+    it("should reject invalid stages", () => {
+      expect(() => sessionTimeout({ stages: { at: 1000 } })).toThrow(TypeError);
+      expect(() => sessionTimeout({ stages: [{ at: "1000" }] })).toThrow(
+        new TypeError(
+          'session-timeout: "stages[0].at" must be a finite number of milliseconds, got "1000"',
+        ),
+      );
+      expect(() =>
+        sessionTimeout({ stages: [{ at: 1000, display: "popup" }] }),
+      ).toThrow(
+        new TypeError(
+          'session-timeout: "stages[0].display" must be one of "modal", "banner", "toast", "none", got "popup"',
+        ),
+      );
+      expect(() =>
+        sessionTimeout({ stages: [{ at: 3000 }], timeoutAt: 2000 }),
+      ).toThrow(RangeError);
+    });
+
+    it("should reject a warning after the timeout", () => {
+      expect(() => sessionTimeout({ warnAt: 2000, timeoutAt: 1000 })).toThrow(
+        new RangeError(
+          'session-timeout: "warnAt" (2000 ms) must not be later than "timeoutAt" (1000 ms)',
+        ),
+      );
+      // Compared against the default timeoutAt when it's omitted
+      expect(() => sessionTimeout({ warnAt: 30 * 60 * 1000 })).toThrow(
+        RangeError,
+      );
+    });
+
+    it("should move the default warning before a short timeout", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAt: 60 * 1000, onTimeout });
+
+      vi.advanceTimersByTime(60 * 1000);
+
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+      expect(session.getState().status).toBe("expired");
+
+      session.destroy();
+    });
+
+    it("should reject durations above the setTimeout limit", () => {
+      expect(() => sessionTimeout({ timeoutAt: 2 ** 31 })).toThrow(
+        new RangeError(
+          'session-timeout: "timeoutAt" must be at most 2147483647 ms (about 24.8 days), got 2147483648',
+        ),
+      );
+      expect(() => sessionTimeout({ activityThrottle: 2 ** 31 })).toThrow(
+        RangeError,
+      );
+    });
+
+    it("should reject intervals that aren't positive", () => {
+      expect(() => sessionTimeout({ checkInterval: 0 })).toThrow(
+        new RangeError(
+          'session-timeout: "checkInterval" must be greater than 0, got 0',
+        ),
+      );
+      expect(() => sessionTimeout({ announceInterval: -1 })).toThrow(
+        RangeError,
+      );
+    });
+
+    it("should not start any timers for invalid options", () => {
+      expect(() => sessionTimeout({ warnAt: "soon" })).toThrow();
+      expect(vi.getTimerCount()).toBe(0);
+    });
+
+    it("should warn about misspelled options", () => {
+      const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({ timeoutAT: 100, onTimeout });
+
+      expect(warn).toHaveBeenCalledWith(
+        'session-timeout: Unknown option "timeoutAT". Did you mean "timeoutAt"?',
+      );
+
+      // The misspelled option is ignored
+      vi.advanceTimersByTime(150);
+      expect(onTimeout).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+  });
+
+  describe("instance registry", () => {
+    // Every caller gets its own handle, sharing the session's methods
+    const isSameSession = (a, b) => a?.getState === b?.getState;
+
+    it("should return the running session for the same namespace", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+      const onUpdate = vi.fn();
+      session.on("update", onUpdate);
+
+      const again = sessionTimeout({ warnAt: 200 });
+
+      expect(isSameSession(again, session)).toBe(true);
+      expect(onUpdate).toHaveBeenCalledTimes(1);
+
+      vi.advanceTimersByTime(150);
+      expect(document.querySelector("dialog")).toBeNull();
+      vi.advanceTimersByTime(100);
+      expect(document.querySelectorAll("dialog")).toHaveLength(1);
+      expect(
+        addEventListenerMock.mock.calls.filter(([type]) => type === "storage"),
+      ).toHaveLength(1);
+
+      session.destroy();
+    });
+
+    it("should not update when called again without options", () => {
+      const session = sessionTimeout();
+      const onUpdate = vi.fn();
+      session.on("update", onUpdate);
+
+      expect(isSameSession(sessionTimeout(), session)).toBe(true);
+      expect(onUpdate).not.toHaveBeenCalled();
+
+      session.destroy();
+    });
+
+    it("should reject fixed options that differ from the running session", () => {
+      const session = sessionTimeout({ transport: "none" });
+
+      expect(() => sessionTimeout({ transport: "local-storage" })).toThrow(
+        TypeError,
+      );
+
+      session.destroy();
+    });
+
+    it("should create a new session once the old one is destroyed", () => {
+      const session = sessionTimeout();
+      session.destroy();
+
+      const next = sessionTimeout();
+
+      expect(isSameSession(next, session)).toBe(false);
+      next.destroy();
+    });
+
+    it("should keep a shared session running until every caller destroys it", () => {
+      const first = sessionTimeout({ warnAt: 100 });
+      const second = sessionTimeout();
+      const onDestroy = vi.fn();
+      first.on("destroy", onDestroy);
+
+      first.destroy();
+      vi.advanceTimersByTime(150);
+
+      expect(isSameSession(getInstance(), second)).toBe(true);
+      expect(document.querySelector("dialog")).toBeTruthy();
+      expect(onDestroy).not.toHaveBeenCalled();
+
+      second.destroy();
+      expect(getInstance()).toBeNull();
+      expect(document.querySelector("dialog")).toBeNull();
+      expect(onDestroy).toHaveBeenCalledTimes(1);
+    });
+
+    it("should release a caller's hold only once", () => {
+      const first = sessionTimeout({ warnAt: 100 });
+      const second = sessionTimeout();
+
+      // A cleanup path that runs twice
+      first.destroy();
+      first.destroy();
+      vi.advanceTimersByTime(150);
+
+      expect(isSameSession(getInstance(), second)).toBe(true);
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      second.destroy();
+      expect(getInstance()).toBeNull();
+    });
+
+    it("should end the session for every caller through getInstance()", () => {
+      const first = sessionTimeout();
+      sessionTimeout();
+      const onDestroy = vi.fn();
+      first.on("destroy", onDestroy);
+
+      getInstance().destroy();
+
+      expect(onDestroy).toHaveBeenCalledTimes(1);
+      expect(getInstance()).toBeNull();
+    });
+
+    it("should start a new session once the running one has expired", () => {
+      const onTimeout = vi.fn();
+      const session = sessionTimeout({
+        warnAt: 100,
+        timeoutAt: 200,
+        onTimeout,
+      });
+      vi.advanceTimersByTime(200);
+      expect(onTimeout).toHaveBeenCalledTimes(1);
+
+      // The user logged back in without a page load
+      const next = sessionTimeout({ warnAt: 100, timeoutAt: 200, onTimeout });
+
+      expect(isSameSession(next, session)).toBe(false);
+      expect(isSameSession(getInstance(), next)).toBe(true);
+      expect(next.getState()).toEqual({ status: "idle", remaining: 200 });
+      vi.advanceTimersByTime(100);
+      expect(next.getState().status).toBe("warning");
+      vi.advanceTimersByTime(100);
+      expect(onTimeout).toHaveBeenCalledTimes(2);
+
+      next.destroy();
+    });
+
+    it("should start a new session after logging out", () => {
+      const session = sessionTimeout({ onLogout: vi.fn() });
+      session.logout();
+
+      const next = sessionTimeout({ onLogout: vi.fn() });
+
+      expect(isSameSession(next, session)).toBe(false);
+      expect(next.getState().status).toBe("idle");
+
+      next.destroy();
+    });
+
+    it("should reject a different storage key for a running namespace", () => {
+      const session = sessionTimeout({ storageKey: "portal-a" });
+
+      expect(() => sessionTimeout({ storageKey: "portal-b" })).toThrow(
+        TypeError,
+      );
+
+      session.destroy();
+    });
+
+    it("should find sessions by namespace", () => {
+      const session = sessionTimeout();
+      const other = sessionTimeout({ namespace: "admin" });
+
+      expect(isSameSession(sessionTimeout.getInstance(), session)).toBe(true);
+      expect(isSameSession(getInstance("admin"), other)).toBe(true);
+      expect(getInstance("missing")).toBeNull();
+
+      other.destroy();
+      expect(getInstance("admin")).toBeNull();
+
+      session.destroy();
+    });
+
+    it("should destroy every session", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+      const other = sessionTimeout({ warnAt: 100, namespace: "admin" });
+      const onDestroy = vi.fn();
+      session.on("destroy", onDestroy);
+      other.on("destroy", onDestroy);
+
+      destroyAll();
+      vi.advanceTimersByTime(150);
+
+      expect(onDestroy).toHaveBeenCalledTimes(2);
+      expect(document.querySelector("dialog")).toBeNull();
+      expect(sessionTimeout.getInstance()).toBeNull();
+    });
+
+    it("should share the registry with other copies of the library", () => {
+      const session = sessionTimeout();
+      const registry =
+        globalThis[Symbol.for("@travishorn/session-timeout/registry")];
+
+      const entry = registry.get("session-timeout");
+      expect(entry.holders).toBe(1);
+      expect(isSameSession(entry.session, session)).toBe(true);
+
+      session.destroy();
+    });
+  });
+
+  describe("cleanup and lifecycle", () => {
+    it("should properly clean up when destroyed", () => {
+      const session = sessionTimeout({ warnAt: 100 });
+
+      vi.advanceTimersByTime(150);
+
+      expect(document.querySelector("dialog")).toBeTruthy();
+
+      session.destroy();
+
+      expect(document.querySelector("dialog")).toBeFalsy();
+    });
+
+    it("should leave nothing running when setup fails", () => {
+      const onTimeout = vi.fn();
+      const querySelector = vi
+        .spyOn(document, "querySelector")
+        .mockImplementation(() => {
+          throw new SyntaxError("not a valid selector");
+        });
+
+      expect(() => sessionTimeout({ timeoutAt: 1000, onTimeout })).toThrow(
+        SyntaxError,
+      );
+      querySelector.mockRestore();
+      vi.advanceTimersByTime(2000);
+
+      expect(onTimeout).not.toHaveBeenCalled();
+      expect(getInstance()).toBeNull();
+      const storageListener = addEventListenerMock.mock.calls.find(
+        ([type]) => type === "storage",
+      )[1];
+      expect(removeEventListenerMock).toHaveBeenCalledWith(
+        "storage",
+        storageListener,
+      );
     });
 
     it("should handle multiple sessions correctly", () => {
-      const session1 = sessionTimeout({ warnAt: 100 });
-      const session2 = sessionTimeout({ warnAt: 200 });
+      const session1 = sessionTimeout({ warnAt: 100, namespace: "first" });
+      const session2 = sessionTimeout({ warnAt: 200, namespace: "second" });
 
       vi.advanceTimersByTime(150);
 
@@ -0,0 +1,73 @@
+import { describe, it, expect } from "vitest";
+import {
+  formatRelative,
+  formatRemaining,
+  isRtl,
+  locales,
+  normalizeLocale,
+  resolveMessages,
+} from "../src/locales.js";
+
+describe("locales", () => {
+  it("should translate every English string in every bundle", () => {
+    const keys = Object.keys(locales.en).sort();
+    Object.values(locales).forEach((strings) => {
+      expect(Object.keys(strings).sort()).toEqual(keys);
+    });
+  });
+
+  describe("normalizeLocale", () => {
+    it("should canonicalize locale tags", () => {
+      expect(normalizeLocale("pt-br")).toBe("pt-BR");
+    });
+
+    it("should fall back to English for invalid tags", () => {
+      expect(normalizeLocale("not a locale")).toBe("en");
+      expect(normalizeLocale("")).toBe("en");
+    });
+  });
+
+  describe("isRtl", () => {
+    it("should detect right-to-left languages", () => {
+      expect(isRtl("ar-EG")).toBe(true);
+      expect(isRtl("he")).toBe(true);
+      expect(isRtl("en-US")).toBe(false);
+    });
+  });
+
+  describe("resolveMessages", () => {
+    it("should fall back to the language, then English", () => {
+      const strings = resolveMessages("fr-CA", {
+        "fr-CA": { title: "Session qui expire" },
+      });
+
+      expect(strings.title).toBe("Session qui expire");
+      expect(strings.logoutText).toBe("Se déconnecter");
+    });
+
+    it("should fill gaps in custom locales with English", () => {
+      const strings = resolveMessages("eo", { eo: { logoutText: "Elsaluti" } });
+
+      expect(strings.logoutText).toBe("Elsaluti");
+      expect(strings.continueText).toBe("Continue Session");
+    });
+  });
+
+  describe("formatRemaining", () => {
+    it("should format minutes and seconds", () => {
+      expect(formatRemaining(125000, "en", "{time} remaining")).toBe(
+        "02:05 remaining",
+      );
+      expect(formatRemaining(-1000)).toBe("00:00");
+    });
+  });
+
+  describe("formatRelative", () => {
+    it("should pluralize seconds and minutes", () => {
+      expect(formatRelative(1000)).toBe("in 1 second");
+      expect(formatRelative(20000)).toBe("in 20 seconds");
+      expect(formatRelative(120000)).toBe("in 2 minutes");
+      expect(formatRelative(60000, "es")).toBe("dentro de 1 minuto");
+    });
+  });
+});
@@ -0,0 +1,81 @@
+// @vitest-environment node
+import { describe, it, expect, vi, afterEach } from "vitest";
+import { readFileSync } from "node:fs";
+import {
+  OPTION_NAMES,
+  diffOptions,
+  warnUnknownOptions,
+} from "../src/options.js";
+
+describe("options", () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("should declare a type for every option", () => {
+    const declarations = readFileSync(
+      new URL("../src/index.d.ts", import.meta.url),
+      "utf8",
+    );
+    const body = declarations.match(
+      /interface SessionTimeoutOptions \{([\s\S]*?)\n\}/,
+    )[1];
+    const declared = [...body.matchAll(/^ {2}(\w+)\?:/gm)].map(
+      ([, name]) => name,
+    );
+
+    expect(declared.sort()).toEqual([...OPTION_NAMES].sort());
+  });
+
+  it("should warn about unknown options", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    warnUnknownOptions({ warnAt: 1000, warnAT: 1000, colour: "red" });
+
+    expect(warn).toHaveBeenCalledTimes(2);
+    expect(warn).toHaveBeenCalledWith(
+      'session-timeout: Unknown option "warnAT". Did you mean "warnAt"?',
+    );
+    expect(warn).toHaveBeenCalledWith(
+      'session-timeout: Unknown option "colour".',
+    );
+  });
+
+  it("should not warn about known options", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    warnUnknownOptions(Object.fromEntries(OPTION_NAMES.map((n) => [n, 1])));
+
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  it("should diff options by content", () => {
+    const render = vi.fn();
+    const previous = {
+      warnAt: 1000,
+      activityEvents: ["keydown"],
+      messages: { en: { title: "Hi" } },
+      render,
+      locale: "en",
+    };
+
+    expect(
+      diffOptions(previous, {
+        warnAt: 2000,
+        activityEvents: ["keydown"],
+        messages: { en: { title: "Hi" } },
+        render,
+      }),
+    ).toEqual({
+      changed: { warnAt: 2000, locale: undefined },
+      recreate: false,
+    });
+  });
+
+  it("should ask to recreate when a fixed option changes", () => {
+    expect(diffOptions({ namespace: "a" }, { namespace: "b" })).toEqual({
+      changed: {},
+      recreate: true,
+    });
+  });
+});
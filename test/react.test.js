@@ -0,0 +1,143 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { StrictMode, act, createElement } from "react";
+import { createRoot } from "react-dom/client";
+import sessionTimeout, { getInstance } from "../src/index.js";
+import { useSessionTimeout } from "../src/react.js";
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("useSessionTimeout", () => {
+  let container;
+  let root;
+  let result;
+
+  const Probe = ({ options }) => {
+    result = useSessionTimeout(options);
+    return createElement("p", null, result.state.status);
+  };
+
+  const render = (options, { strict = false } = {}) => {
+    const element = createElement(Probe, { options });
+    act(() => {
+      root.render(strict ? createElement(StrictMode, null, element) : element);
+    });
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    container = document.createElement("div");
+    document.body.append(container);
+    root = createRoot(container);
+  });
+
+  afterEach(() => {
+    act(() => root.unmount());
+    container.remove();
+    document.querySelectorAll("dialog").forEach((dialog) => dialog.remove());
+    vi.useRealTimers();
+  });
+
+  it("should start the session on mount and follow its state", () => {
+    render({ warnAt: 1000, timeoutAt: 3000, transport: "none" });
+
+    expect(result.session).not.toBeNull();
+    expect(container.textContent).toBe("idle");
+
+    act(() => vi.advanceTimersByTime(1000));
+
+    expect(result.state).toEqual({ status: "warning", remaining: 2000 });
+    expect(container.textContent).toBe("warning");
+  });
+
+  it("should destroy the session on unmount", () => {
+    const onTimeout = vi.fn();
+    render({ warnAt: 1000, timeoutAt: 3000, transport: "none", onTimeout });
+
+    act(() => root.render(null));
+    act(() => vi.advanceTimersByTime(5000));
+
+    expect(onTimeout).not.toHaveBeenCalled();
+    expect(document.querySelector("dialog")).toBeNull();
+  });
+
+  it("should keep a session shared with other callers after unmount", () => {
+    const shared = sessionTimeout({ transport: "none" });
+    render({ transport: "none" });
+    expect(result.session.getState).toBe(shared.getState);
+
+    act(() => root.render(null));
+
+    expect(getInstance().getState).toBe(shared.getState);
+    shared.destroy();
+    expect(getInstance()).toBeNull();
+  });
+
+  it("should leave only one session running under StrictMode", () => {
+    const onTimeout = vi.fn();
+    render(
+      { warnAt: 1000, timeoutAt: 3000, transport: "none", onTimeout },
+      { strict: true },
+    );
+
+    act(() => vi.advanceTimersByTime(1000));
+    expect(document.querySelectorAll("dialog")).toHaveLength(1);
+
+    act(() => vi.advanceTimersByTime(2000));
+    expect(onTimeout).toHaveBeenCalledTimes(1);
+  });
+
+  it("should update the session when options change", () => {
+    render({ warnAt: 1000, timeoutAt: 3000, transport: "none" });
+    const session = result.session;
+    const update = vi.spyOn(session, "update");
+
+    render({ warnAt: 2000, timeoutAt: 3000, transport: "none" });
+
+    expect(result.session).toBe(session);
+    expect(update).toHaveBeenCalledWith({ warnAt: 2000 });
+  });
+
+  it("should not update for new arrays with the same items", () => {
+    render({ activityEvents: ["keydown"], transport: "none" });
+    const update = vi.spyOn(result.session, "update");
+
+    render({ activityEvents: ["keydown"], transport: "none" });
+
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it("should call the latest callbacks without updating", () => {
+    const first = vi.fn();
+    const second = vi.fn();
+    render({
+      warnAt: 1000,
+      timeoutAt: 3000,
+      transport: "none",
+      onTimeout: first,
+    });
+    const update = vi.spyOn(result.session, "update");
+
+    render({
+      warnAt: 1000,
+      timeoutAt: 3000,
+      transport: "none",
+      onTimeout: second,
+    });
+    act(() => vi.advanceTimersByTime(3000));
+
+    expect(update).not.toHaveBeenCalled();
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  it("should recreate the session when a fixed option changes", () => {
+    render({ namespace: "first", transport: "none" });
+    const first = result.session;
+    const destroy = vi.spyOn(first, "destroy");
+
+    render({ namespace: "second", transport: "none" });
+
+    expect(destroy).toHaveBeenCalled();
+    expect(result.session).not.toBe(first);
+  });
+});
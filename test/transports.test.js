@@ -0,0 +1,157 @@
+import { describe, it, expect, vi, afterEach } from "vitest";
+import {
+  createAutoTransport,
+  createBroadcastChannelTransport,
+  createLocalStorageTransport,
+  createNoopTransport,
+} from "../src/transports.js";
+
+describe("transports", () => {
+  afterEach(() => {
+    localStorage.clear();
+    vi.unstubAllGlobals();
+  });
+
+  describe("createLocalStorageTransport", () => {
+    it("should store messages as JSON under the key", () => {
+      const transport = createLocalStorageTransport({ key: "test-key" });
+      const message = { type: "reset", id: "a-1", tab: "a", time: 1 };
+
+      transport.post(message);
+
+      expect(JSON.parse(localStorage.getItem("test-key"))).toEqual(message);
+      expect(transport.read()).toEqual(message);
+    });
+
+    it("should keep the last state message apart from other messages", () => {
+      const transport = createLocalStorageTransport({ key: "test-key" });
+      const reset = { type: "reset", id: "a-1", tab: "a", time: 1 };
+      const warn = { type: "warn", id: "a-2", tab: "a", time: 2 };
+
+      transport.post(reset);
+      transport.post(warn);
+
+      expect(transport.read()).toEqual(reset);
+      expect(JSON.parse(localStorage.getItem("test-key-event"))).toEqual(warn);
+    });
+
+    it("should read bare timestamps written by older versions", () => {
+      localStorage.setItem("test-key", "1234");
+      const transport = createLocalStorageTransport({ key: "test-key" });
+
+      expect(transport.read()).toMatchObject({ type: "reset", resetAt: 1234 });
+    });
+
+    it("should deliver storage events for its key to subscribers", () => {
+      const transport = createLocalStorageTransport({ key: "test-key" });
+      const listener = vi.fn();
+      const unsubscribe = transport.subscribe(listener);
+      const message = { type: "logout", id: "b-1", tab: "b", time: 1 };
+
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "other-key",
+          newValue: JSON.stringify(message),
+        }),
+      );
+      expect(listener).not.toHaveBeenCalled();
+
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "test-key",
+          newValue: JSON.stringify(message),
+        }),
+      );
+      expect(listener).toHaveBeenCalledWith(message);
+
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "test-key-event",
+          newValue: JSON.stringify(message),
+        }),
+      );
+      expect(listener).toHaveBeenCalledTimes(2);
+
+      unsubscribe();
+      window.dispatchEvent(
+        new StorageEvent("storage", {
+          key: "test-key",
+          newValue: JSON.stringify(message),
+        }),
+      );
+      expect(listener).toHaveBeenCalledTimes(2);
+    });
+
+    it("should ignore malformed values", () => {
+      localStorage.setItem("test-key", "{not json");
+      const transport = createLocalStorageTransport({ key: "test-key" });
+
+      expect(transport.read()).toBeNull();
+    });
+  });
+
+  describe("createBroadcastChannelTransport", () => {
+    it("should post and receive through a BroadcastChannel", () => {
+      const channels = [];
+      vi.stubGlobal(
+        "BroadcastChannel",
+        class {
+          constructor(name) {
+            this.name = name;
+            this.postMessage = vi.fn();
+            this.addEventListener = vi.fn();
+            this.removeEventListener = vi.fn();
+            this.close = vi.fn();
+            channels.push(this);
+          }
+        },
+      );
+
+      const transport = createBroadcastChannelTransport({ name: "test" });
+      const listener = vi.fn();
+      const unsubscribe = transport.subscribe(listener);
+      const [channel] = channels;
+      const message = { type: "warn", id: "c-1", tab: "c", time: 1 };
+
+      expect(channel.name).toBe("test");
+
+      transport.post(message);
+      expect(channel.postMessage).toHaveBeenCalledWith(message);
+
+      channel.addEventListener.mock.calls[0][1]({ data: message });
+      expect(listener).toHaveBeenCalledWith(message);
+
+      unsubscribe();
+      expect(channel.removeEventListener).toHaveBeenCalled();
+
+      transport.close();
+      expect(channel.close).toHaveBeenCalled();
+    });
+  });
+
+  describe("createNoopTransport", () => {
+    it("should do nothing", () => {
+      const transport = createNoopTransport();
+      const listener = vi.fn();
+
+      transport.subscribe(listener)();
+      transport.post({ type: "reset" });
+
+      expect(listener).not.toHaveBeenCalled();
+      expect(transport.read()).toBeNull();
+    });
+  });
+
+  describe("createAutoTransport", () => {
+    it("should fall back to Local Storage without BroadcastChannel", () => {
+      vi.stubGlobal("BroadcastChannel", undefined);
+      const transport = createAutoTransport({ key: "test-key" });
+      const message = { type: "reset", id: "d-1", tab: "d", time: 1 };
+
+      transport.post(message);
+
+      expect(transport.read()).toEqual(message);
+      transport.close();
+    });
+  });
+});
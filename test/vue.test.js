@@ -0,0 +1,111 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from "vitest";
+import { createApp, defineComponent, effectScope, h, nextTick, ref } from "vue";
+import { useSessionTimeout } from "../src/vue.js";
+
+describe("useSessionTimeout (Vue)", () => {
+  let container;
+
+  const mount = (options) => {
+    let result;
+    const app = createApp(
+      defineComponent({
+        setup() {
+          result = useSessionTimeout(options);
+          return () => h("p", result.state.value.status);
+        },
+      }),
+    );
+    app.mount(container);
+    return { app, result };
+  };
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+    container = document.createElement("div");
+    document.body.append(container);
+  });
+
+  afterEach(() => {
+    container.remove();
+    document.querySelectorAll("dialog").forEach((dialog) => dialog.remove());
+    vi.useRealTimers();
+  });
+
+  it("should start the session on mount and follow its state", async () => {
+    const { app, result } = mount({
+      warnAt: 1000,
+      timeoutAt: 3000,
+      transport: "none",
+    });
+
+    expect(result.session.value).not.toBeNull();
+    expect(container.textContent).toBe("idle");
+
+    vi.advanceTimersByTime(1000);
+    await nextTick();
+
+    expect(result.state.value).toEqual({ status: "warning", remaining: 2000 });
+    expect(container.textContent).toBe("warning");
+
+    app.unmount();
+  });
+
+  it("should destroy the session on unmount", () => {
+    const onTimeout = vi.fn();
+    const { app } = mount({
+      warnAt: 1000,
+      timeoutAt: 3000,
+      transport: "none",
+      onTimeout,
+    });
+
+    app.unmount();
+    vi.advanceTimersByTime(5000);
+
+    expect(onTimeout).not.toHaveBeenCalled();
+  });
+
+  it("should update the session when reactive options change", async () => {
+    const options = ref({ warnAt: 1000, timeoutAt: 3000, transport: "none" });
+    const { app, result } = mount(options);
+    const session = result.session.value;
+    const update = vi.spyOn(session, "update");
+
+    options.value.warnAt = 2000;
+    await nextTick();
+
+    expect(result.session.value).toBe(session);
+    expect(update).toHaveBeenCalledWith({ warnAt: 2000 });
+
+    app.unmount();
+  });
+
+  it("should recreate the session when a fixed option changes", async () => {
+    const namespace = ref("first");
+    const { app, result } = mount(() => ({
+      namespace: namespace.value,
+      transport: "none",
+    }));
+    const first = result.session.value;
+    const destroy = vi.spyOn(first, "destroy");
+
+    namespace.value = "second";
+    await nextTick();
+
+    expect(destroy).toHaveBeenCalled();
+    expect(result.session.value).not.toBe(first);
+
+    app.unmount();
+  });
+
+  it("should run inside an effect scope without a component", () => {
+    const scope = effectScope();
+    const result = scope.run(() => useSessionTimeout({ transport: "none" }));
+    const destroy = vi.spyOn(result.session.value, "destroy");
+
+    scope.stop();
+
+    expect(destroy).toHaveBeenCalled();
+    expect(result.session.value).toBeNull();
+  });
+});